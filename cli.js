@@ -0,0 +1,161 @@
+const { createBot } = require('./lib/bot');
+const { parseArgs } = require('./lib/args');
+const { loadConfig } = require('./lib/config');
+const { toMarketSymbol } = require('./lib/symbols');
+
+const USAGE = `Usage: node cli.js <command> [--profile prod|beta] [--config ./config.json] [options]
+
+  scan                     Run the morning scan once
+    --top N                Number of picks (default scan.top, 5)
+    --universe A,B/USD     Scan only these bases or markets instead of the CoinGecko top 500
+    --no-post              Don't publish the picks
+    --no-save              Don't overwrite master_picks.json or append to the history
+    --dropped              List the markets the universe filters dropped and why
+    --json                 Print the ranked picks as JSON on stdout (logs go to stderr)
+
+  explain SYMBOL           Show every strategy's inputs, thresholds and score contribution
+    --json                 Print the explanation as JSON
+
+  report                   Run the performance report for the current picks
+    --date YYYY-MM-DD      Re-run it for the picks stored on that (UTC) date
+    --no-post              Don't publish the report
+
+  digest weekly|monthly    Build the performance digest, write its CSV and chart files and publish it
+    --until YYYY-MM-DD     End the period at the start of that (UTC) day instead of now
+    --no-post              Don't publish the digest
+    --json                 Print the digest as JSON on stdout
+
+  monitor                  Watch the current picks and send intraday alerts
+    --once                 Run a single check and exit
+
+  serve                    Start the server and the daily schedules (same as npm start)`;
+
+const formatValue = (value) => {
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toPrecision(6).replace(/\.?0+$/, '');
+    if (Array.isArray(value)) return value.map(formatValue).join(' > ');
+    return value === undefined ? 'n/a' : String(value);
+};
+const formatObject = (obj) => Object.entries(obj).map(([key, value]) => `${key}=${formatValue(value)}`).join(' ') || '-';
+
+async function scan(bot, args) {
+    if (args.top !== undefined && !/^[1-9]\d*$/.test(String(args.top))) {
+        console.log("[Scan] --top must be a positive integer\n");
+        console.log(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    const result = await bot.getUnifiedPicks({
+        top: args.top !== undefined ? parseInt(args.top) : undefined,
+        universe: typeof args.universe === 'string' ? args.universe.split(',').map(s => s.trim().toUpperCase()).filter(Boolean) : undefined,
+        post: args.post !== false,
+        save: args.save !== false,
+        source: 'cli'
+    });
+    if (!result) {
+        process.exitCode = 1;
+        return;
+    }
+    if (args.dropped) {
+        console.table(result.dropped.map(d => ({ Symbol: d.symbol, Reason: d.reason, Detail: d.detail })));
+    }
+    if (args.json) {
+        process.stdout.write(JSON.stringify({ regime: result.regime, picks: result.top, dropped: result.dropped }, null, 2) + '\n');
+    }
+}
+
+async function explain(bot, args) {
+    const symbol = toMarketSymbol(args._[1] || '');
+    if (!symbol.includes('/')) {
+        console.log("Usage: node cli.js explain BASE/QUOTE (e.g. BTC/USD)");
+        process.exitCode = 1;
+        return;
+    }
+
+    const result = await bot.explain(symbol);
+    if (args.json) {
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        return;
+    }
+
+    console.log(`\n--- ${result.symbol} @ ${formatValue(result.price)} ---`);
+    console.log(`Regime: ${result.regime || 'n/a'} | Fear & Greed: ${formatValue(result.context.fearIndex)} | Funding: ${formatValue(result.context.fundingRate)} | Degraded sources: ${result.context.degradedSources.join(', ') || 'none'}`);
+    console.log(`Raw Score: ${result.rawScore}${result.universe ? ` | Normalized: ${result.score} (vs ${result.universe.size} symbols of scan ${result.universe.scanId})` : ''}`);
+    console.table(result.strategies.map(r => ({
+        Strategy: r.strategy,
+        Timeframe: r.timeframe || '',
+        Fired: r.fired ? '✅' : (r.signal && r.confirmed === false ? 'unconfirmed' : ''),
+        Inputs: formatObject(r.inputs),
+        Thresholds: formatObject(r.params),
+        Weight: Math.round(r.weight * 100) / 100,
+        Points: r.points,
+        ...(r.normalized !== undefined && { Normalized: r.normalized })
+    })));
+}
+
+async function report(bot, args) {
+    if (args.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(args.date)) {
+        console.log("[Report] --date must be YYYY-MM-DD");
+        process.exitCode = 1;
+        return;
+    }
+    const result = await bot.reportPerformance({ date: args.date, post: args.post !== false });
+    if (!result) process.exitCode = 1;
+}
+
+async function digest(bot, args) {
+    const period = args._[1] || 'weekly';
+    if (args.until !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(args.until)) {
+        console.log("[Digest] --until must be YYYY-MM-DD");
+        process.exitCode = 1;
+        return;
+    }
+    const result = await bot.performanceDigest({
+        period,
+        until: args.until ? Date.parse(`${args.until}T00:00:00Z`) : undefined,
+        post: args.post !== false
+    });
+    if (!result) {
+        process.exitCode = 1;
+        return;
+    }
+    if (args.json) process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+}
+
+async function monitor(bot, args) {
+    if (!args.once) {
+        bot.monitor();
+        return;
+    }
+    const alerts = await bot.checkAlerts();
+    console.log(`[Alerts] ${alerts.length} alert(s) sent.`);
+    if (args.json) process.stdout.write(JSON.stringify(alerts, null, 2) + '\n');
+}
+
+const COMMANDS = { scan, explain, report, digest, monitor, serve: (bot) => bot.serve() };
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const command = COMMANDS[args._[0]];
+    if (!command) {
+        console.log(USAGE);
+        process.exitCode = args._[0] ? 1 : 0;
+        return;
+    }
+
+    // Keep stdout clean for the JSON output
+    if (args.json) {
+        const stderr = new console.Console(process.stderr);
+        console.log = stderr.log;
+        console.table = stderr.table;
+    }
+
+    await command(createBot({ config: loadConfig({ file: args.config, profile: args.profile }) }), args);
+}
+
+if (require.main === module) {
+    require('dotenv').config({ quiet: true });
+    main().catch(err => {
+        console.error("[CLI] Failed:", err.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,138 @@
+const HOUR = 60 * 60 * 1000;
+
+const DEFAULT_ALERTS = {
+    enabled: true,
+    // Ticker poll interval (ms)
+    interval: 60 * 1000,
+    // Alert once a pick is up this many percent from its scan price
+    gains: [5, 10],
+    // ...or this many percent below it
+    dropPct: 5,
+    // Minimum time between two alerts for the same symbol (ms); suppressed alerts fire later
+    cooldown: 30 * 60 * 1000,
+    // How often the scanned universe is re-scored for new top entries (ms, 0 = never)
+    rescanEvery: HOUR,
+    top: 5,
+    // Picks older than this are not watched any more (ms)
+    maxAge: 24 * HOUR
+};
+
+/**
+ * INTRADAY ALERT MONITOR
+ * Polls the tickers of the current picks between the morning scan and the
+ * next one and raises:
+ *   gain     a pick crossed one of the `gains` levels (+5% / +10%)
+ *   drop     a pick fell `dropPct` below its scan price
+ *   new-top  a symbol outside the picks re-scored into the top `top`
+ *
+ * Each (scan, symbol, type, level) fires once; crossing +10% straight away
+ * also settles +5%. A symbol gets at most one alert per `cooldown`; alerts
+ * held back by it are raised on a later check if still valid. Sent alerts
+ * are appended to the pick history, which also restores the dedup state
+ * after a restart.
+ *
+ * Dependencies:
+ *   market      fetchTicker(symbol)
+ *   history     appendAlert / readAlerts / latestScan
+ *   loadPicks() -> { scanId, scannedAt, picks } | null, the picks to watch
+ *   rescore(symbols) -> ranked candidates (optional, for new-top alerts)
+ *   notify(alert) sends one alert through the publishers
+ */
+function createAlertMonitor({ market, history, loadPicks, rescore, notify, settings = {} }) {
+    const s = { ...DEFAULT_ALERTS, ...settings };
+    const gains = [...s.gains].sort((a, b) => a - b);
+    const sent = history.readAlerts();
+    const lastAlertAt = {};
+    sent.forEach(a => { lastAlertAt[a.symbol] = Math.max(lastAlertAt[a.symbol] || 0, Date.parse(a.at)); });
+    let lastRescanAt = 0;
+
+    const alreadySent = ({ scanId, symbol, type, level }) => sent.some(a =>
+        a.scanId === scanId && a.symbol === symbol && a.type === type && (type !== 'gain' || a.level >= level));
+
+    /**
+     * Alerts due for the watched picks right now, before dedup and cooldown
+     */
+    async function detect(current, now) {
+        const { scanId, picks } = current;
+        const found = [];
+
+        for (const pick of picks) {
+            try {
+                const ticker = await market.fetchTicker(pick.symbol);
+                const change = ((ticker.last - pick.priceAt5am) / pick.priceAt5am) * 100;
+                const base = { scanId, symbol: pick.symbol, entry: pick.priceAt5am, price: ticker.last, change };
+
+                const crossed = gains.filter(level => change >= level).pop();
+                if (crossed !== undefined) found.push({ ...base, type: 'gain', level: crossed });
+                if (change <= -s.dropPct) found.push({ ...base, type: 'drop', level: s.dropPct });
+            } catch (e) { console.log(`[Alerts] Could not fetch ${pick.symbol}: ${e.message}`); }
+        }
+
+        const latest = rescore && s.rescanEvery > 0 && now - lastRescanAt >= s.rescanEvery ? history.latestScan() : null;
+        if (latest) {
+            lastRescanAt = now;
+            const ranked = await rescore(latest.candidates.map(c => c.symbol));
+            const watched = new Set(picks.map(p => p.symbol));
+            ranked.slice(0, s.top).forEach((c, i) => {
+                if (!watched.has(c.symbol)) {
+                    found.push({ scanId, symbol: c.symbol, type: 'new-top', level: i + 1, price: c.priceAt5am, score: c.score, rawScore: c.rawScore, triggers: c.triggers });
+                }
+            });
+        }
+        return found;
+    }
+
+    /**
+     * One pass: detects, filters and sends. Returns the alerts sent.
+     */
+    async function check(now = Date.now()) {
+        const current = loadPicks();
+        if (!current || current.picks.length === 0) return [];
+        if (current.scannedAt && now - Date.parse(current.scannedAt) > s.maxAge) return [];
+
+        const raised = [];
+        for (const alert of await detect(current, now)) {
+            if (alreadySent(alert)) continue;
+            if (lastAlertAt[alert.symbol] && now - lastAlertAt[alert.symbol] < s.cooldown) {
+                console.log(`[Alerts] ${alert.symbol} ${alert.type} held back by cooldown.`);
+                continue;
+            }
+
+            const record = { ...alert, at: new Date(now).toISOString() };
+            history.appendAlert(record);
+            sent.push(record);
+            lastAlertAt[alert.symbol] = now;
+            raised.push(record);
+
+            console.log(`🔔 [Alerts] ${record.symbol} ${record.type}${record.type === 'new-top' ? ` #${record.level}` : ` ${record.level}%`} @ ${record.price}`);
+            try {
+                await notify(record);
+            } catch (e) { console.error(`❌ [Alerts] Failed to notify ${record.symbol}:`, e.message); }
+        }
+        return raised;
+    }
+
+    /**
+     * Checks every `interval` ms until the returned stop() is called.
+     */
+    function start() {
+        let timer = null;
+        let running = true;
+        const tick = async () => {
+            try {
+                await check();
+            } catch (e) { console.error("[Alerts] Check failed:", e.message); }
+            if (running) timer = setTimeout(tick, s.interval);
+        };
+        console.log(`[Alerts] Watching picks every ${s.interval / 1000}s (gains ${gains.join('/')}%, drop ${s.dropPct}%, cooldown ${s.cooldown / 60000}m)`);
+        tick();
+        return () => {
+            running = false;
+            clearTimeout(timer);
+        };
+    }
+
+    return { check, start, settings: s };
+}
+
+module.exports = { DEFAULT_ALERTS, createAlertMonitor };
@@ -0,0 +1,24 @@
+/**
+ * Minimal command-line parser shared by the scripts:
+ *   --key value   -> { key: 'value' }
+ *   --flag        -> { flag: true }  (also when followed by another option)
+ *   --no-flag     -> { flag: false }
+ *   anything else -> collected in order under `_`
+ */
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+        } else if (arg.startsWith('--no-')) {
+            args[arg.slice(5)] = false;
+        } else {
+            const next = argv[i + 1];
+            args[arg.slice(2)] = next === undefined || next.startsWith('--') ? true : argv[++i];
+        }
+    }
+    return args;
+}
+
+module.exports = { parseArgs };
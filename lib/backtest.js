@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { scoreSymbol, rankCandidates } = require('./scoring');
+const { createRegistry, applyRegime } = require('./strategies');
+const { detectRegime, DEFAULT_REGIME } = require('./regime');
+const { aggregateCandles } = require('./timeframes');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Loads stored candles from a directory laid out as:
+ *   <dir>/<BASE>_<QUOTE>.1h.json   -> ccxt OHLCV rows, oldest first
+ *   <dir>/<BASE>_<QUOTE>.1d.json   -> ccxt OHLCV rows, oldest first
+ *   <dir>/<BASE>_<QUOTE>.15m.json  -> optional, ccxt OHLCV rows, oldest first
+ *   <dir>/fng.json                 -> optional, alternative.me /fng/?limit=0 response
+ * Symbols without an hourly file are ignored. Daily files are optional;
+ * missing ones are rebuilt from the hourly candles. Without 15m candles
+ * the strategies measured on them never fire.
+ */
+function loadDataset(dir) {
+    const markets = {};
+    for (const file of fs.readdirSync(dir)) {
+        const match = file.match(/^(.+)\.1h\.json$/);
+        if (!match) continue;
+
+        const symbol = match[1].replace('_', '/');
+        const hourly = JSON.parse(fs.readFileSync(path.join(dir, file)));
+        const dailyFile = path.join(dir, `${match[1]}.1d.json`);
+        const daily = fs.existsSync(dailyFile)
+            ? JSON.parse(fs.readFileSync(dailyFile))
+            : aggregateDaily(hourly);
+        const quarterFile = path.join(dir, `${match[1]}.15m.json`);
+        const quarterHourly = fs.existsSync(quarterFile) ? JSON.parse(fs.readFileSync(quarterFile)) : [];
+        markets[symbol] = { hourly, daily, quarterHourly };
+    }
+
+    let fearGreed = {};
+    const fngFile = path.join(dir, 'fng.json');
+    if (fs.existsSync(fngFile)) {
+        JSON.parse(fs.readFileSync(fngFile)).data.forEach(d => {
+            fearGreed[startOfDay(parseInt(d.timestamp) * 1000)] = parseInt(d.value);
+        });
+    }
+
+    return { markets, fearGreed };
+}
+
+/**
+ * Rolls hourly candles up into UTC daily candles.
+ */
+const aggregateDaily = (hourly) => aggregateCandles(hourly, '1d');
+
+const startOfDay = (ts) => ts - (ts % DAY);
+
+/**
+ * Rebuilds what fetchOHLCV would have returned at `scanTime`:
+ * the last 100 closed hourly bars, 29 closed daily bars and the
+ * still-forming daily bar of the scan day, plus the last 100 4h bars
+ * (rolled up from the hourly ones) and 15m bars when the dataset has them.
+ */
+function sliceAt(market, scanTime) {
+    const hourly = market.hourly.filter(c => c[0] + HOUR <= scanTime);
+    if (hourly.length < 100) return null;
+
+    const dayStart = startOfDay(scanTime);
+    const closedDays = market.daily.filter(c => c[0] < dayStart);
+    if (closedDays.length < 29) return null;
+
+    const ohlcv = hourly.slice(-100);
+    const entry = ohlcv[99][4];
+    const today = hourly.filter(c => c[0] >= dayStart);
+    const formingDay = today.length > 0
+        ? [dayStart, today[0][1], Math.max(...today.map(c => c[2])), Math.min(...today.map(c => c[3])), entry, today.reduce((a, c) => a + c[5], 0)]
+        : [dayStart, entry, entry, entry, entry, 0];
+
+    const frames = {
+        '15m': (market.quarterHourly || []).filter(c => c[0] + 15 * 60 * 1000 <= scanTime).slice(-100),
+        '4h': aggregateCandles(hourly.slice(-400), '4h').slice(-100)
+    };
+
+    return { ohlcv, dailyOhlcv: [...closedDays.slice(-29), formingDay], frames, entry };
+}
+
+/**
+ * Close of the hourly bar that ends `horizonHours` after the scan.
+ */
+function priceAfter(market, scanTime, horizonHours) {
+    const exitBar = market.hourly.find(c => c[0] === scanTime + (horizonHours - 1) * HOUR);
+    return exitBar ? exitBar[4] : null;
+}
+
+/**
+ * Replays the morning scan once per day and measures forward returns.
+ * Social, whale and funding inputs have no history, so those strategies
+ * never fire here; Fear & Greed is used when fng.json is present. The
+ * regime uses the benchmark market (BTC/USD) when the dataset has it.
+ */
+function runBacktest(dataset, { scanHour = 8, horizonHours = 24, top = 5, from, to, strategies = createRegistry(), regimes, regimeSettings = {}, regimeWeights = true, normalize = true } = {}) {
+    const regimeConfig = { ...DEFAULT_REGIME, ...regimeSettings };
+    const benchmark = dataset.markets[regimeConfig.benchmark];
+
+    const allTimes = Object.values(dataset.markets).flatMap(m => m.hourly.map(c => c[0]));
+    if (allTimes.length === 0) return { days: [], picks: [] };
+
+    const firstDay = from ? Date.parse(from) : startOfDay(Math.min(...allTimes));
+    const lastDay = to ? Date.parse(to) : startOfDay(Math.max(...allTimes));
+
+    const days = [];
+    for (let day = firstDay; day <= lastDay; day += DAY) {
+        const scanTime = day + scanHour * HOUR;
+        const candidates = [];
+
+        for (const [symbol, market] of Object.entries(dataset.markets)) {
+            const slice = sliceAt(market, scanTime);
+            if (!slice) continue;
+            const exit = priceAfter(market, scanTime, horizonHours);
+            if (exit == null) continue;
+
+            try {
+                const { score, triggers, breakdown, aboveTrend } = scoreSymbol({
+                    ohlcv: slice.ohlcv,
+                    dailyOhlcv: slice.dailyOhlcv,
+                    frames: slice.frames,
+                    currentPrice: slice.entry,
+                    coinSymbol: symbol.split('/')[0],
+                    fearIndex: dataset.fearGreed[day],
+                    breadthPeriod: regimeConfig.breadthPeriod
+                }, strategies);
+                const change = ((exit - slice.entry) / slice.entry) * 100;
+                candidates.push({ symbol, score, triggers, breakdown, aboveTrend, priceAt5am: slice.entry, exitPrice: exit, change });
+            } catch (e) { continue; }
+        }
+
+        if (candidates.length === 0) continue;
+        const btcDaily = benchmark ? benchmark.daily.filter(c => c[0] < day).slice(-(regimeConfig.slow + 10)) : [];
+        const breadth = candidates.filter(c => c.aboveTrend).length / candidates.length;
+        const { regime } = detectRegime({ btcDaily, breadth, fearIndex: dataset.fearGreed[day] }, regimeConfig);
+
+        const weighted = regimeWeights ? applyRegime(strategies, regime, regimes) : strategies;
+        const picks = rankCandidates(candidates, { strategies: weighted, normalize }).slice(0, top);
+        days.push({ date: new Date(day).toISOString().slice(0, 10), regime, candidates: candidates.length, picks });
+    }
+
+    return { days, picks: days.flatMap(d => d.picks.map(p => ({ ...p, date: d.date, regime: d.regime }))) };
+}
+
+const average = (xs) => xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+const median = (xs) => {
+    if (xs.length === 0) return 0;
+    const sorted = [...xs].sort((a, b) => a - b);
+    const m = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[m] : (sorted[m - 1] + sorted[m]) / 2;
+};
+
+/**
+ * Aggregates backtest picks into headline and per-trigger statistics.
+ * `target` is the % move counted as a hit, matching reportPerformance.
+ */
+function summarize(picks, target = 10) {
+    const changes = picks.map(p => p.change);
+    const hitRate = (ps) => ps.length ? (ps.filter(p => p.change >= target).length / ps.length) * 100 : 0;
+
+    const byTrigger = {};
+    for (const pick of picks) {
+        for (const trigger of pick.triggers) {
+            (byTrigger[trigger] = byTrigger[trigger] || []).push(pick);
+        }
+    }
+
+    const triggers = Object.entries(byTrigger).map(([trigger, ps]) => {
+        const others = picks.filter(p => !p.triggers.includes(trigger));
+        return {
+            trigger,
+            picks: ps.length,
+            share: (ps.length / picks.length) * 100,
+            hitRate: hitRate(ps),
+            avgReturn: average(ps.map(p => p.change)),
+            medianReturn: median(ps.map(p => p.change)),
+            // Difference in average return between picks with and without the trigger
+            edge: average(ps.map(p => p.change)) - average(others.map(p => p.change))
+        };
+    }).sort((a, b) => b.picks - a.picks);
+
+    return {
+        picks: picks.length,
+        hitRate: hitRate(picks),
+        avgReturn: average(changes),
+        medianReturn: median(changes),
+        triggers
+    };
+}
+
+module.exports = { loadDataset, aggregateDaily, sliceAt, runBacktest, summarize };
@@ -0,0 +1,646 @@
+const cron = require('node-cron');
+const fs = require('fs');
+const path = require('path');
+const { TwitterApi } = require('twitter-api-v2');
+const { scoreSymbol, rankCandidates, triggerMarkers, fireRates, explainSymbol } = require('./scoring');
+const { createRegistry, applyRegime } = require('./strategies');
+const { detectRegime, DEFAULT_REGIME } = require('./regime');
+const { loadConfig } = require('./config');
+const { createHistoryStore, recordOutcomes, isScheduled } = require('./history');
+const { createMarketData } = require('./market-data');
+const { createPublisher } = require('./publishers');
+const { createProviders } = require('./providers');
+const { createServer } = require('./server');
+const { createMetrics } = require('./metrics');
+const { runScan } = require('./scan-pipeline');
+const { buildTradePlan, evaluateTradePlan } = require('./trade-plan');
+const { createAlertMonitor } = require('./alerts');
+const { createPaperTrader } = require('./paper-trading');
+const { buildUniverse, historyProblem, countByReason } = require('./universe');
+const { createSymbolResolver } = require('./symbols');
+const { withUsdPrices } = require('./usd-prices');
+const { buildDigest, digestCsv, DIGEST_PERIODS, BENCHMARK_TIMEFRAME } = require('./digest');
+const { renderEquityChart } = require('./chart');
+const { sleep, runPool, createTokenBucket } = require('./rate-limit');
+
+const HOUR = 60 * 60 * 1000;
+
+// Twitter Client with User Context (OAuth 1.0a); none without keys, so
+// offline CLI runs work and X posts fail in the publisher instead
+const createTwitterClient = () => process.env.X_API_KEY && new TwitterApi({
+    appKey: process.env.X_API_KEY,
+    appSecret: process.env.X_API_SECRET,
+    accessToken: process.env.X_ACCESS_TOKEN,
+    accessSecret: process.env.X_ACCESS_SECRET,
+});
+
+/**
+ * DAILY MOVERS BOT
+ * The morning scan, the EOD report, the digests and the keep-alive server, shared by
+ * the daemon (CryptoScript.js) and the command line (cli.js).
+ *
+ * Every dependency defaults to the one built from the loaded config (see
+ * lib/config.js) and .env, so callers only pass what they want to replace.
+ */
+function createBot({
+    config = loadConfig(),
+    storageFile = config.storageFile,
+    twitterClient = createTwitterClient(),
+    // Exchange venues come from config.json (Kraken unless configured otherwise), prices in USD
+    market = withUsdPrices(createMarketData(config), config.symbols),
+    // CoinGecko id -> exchange market mapping, persisted with manual overrides
+    symbolResolver = createSymbolResolver(config.symbols),
+    // Output channels for the picks and the EOD report (X only unless configured)
+    publisher = createPublisher(config.publishers, { twitterClient }),
+    // Active strategies (enable/disable and weights come from config.json)
+    strategies = createRegistry(config.strategies),
+    // Append-only scan and outcome ledger (master_picks.json only holds the latest top 5)
+    history = createHistoryStore(config.historyDir),
+    // DefiLlama, CoinGecko, Fear & Greed, LunarCrush and Whale Alert with cache and fallbacks
+    providers = createProviders(config.sources, {
+        pages: config.universe.coingeckoPages,
+        lunarcrushKey: process.env.LUNARCRUSH_KEY,
+        whaleAlertKey: process.env.WHALE_ALERT_KEY
+    }),
+    // Simulated portfolio that buys every saved scan's picks
+    paper = createPaperTrader({ market, dir: config.paper.dir || path.join(config.historyDir, 'paper'), settings: config.paper }),
+    metrics = createMetrics()
+} = {}) {
+    // Worker pool size and checkpoint interval; throughput is set by the exchange rate limits
+    const scanSettings = config.scan;
+    const regimeSettings = { ...DEFAULT_REGIME, ...config.regime };
+    const { normalize, regimeWeights } = config.scoring;
+    const weightsFor = (regime) => regimeWeights && regime ? applyRegime(strategies, regime, config.regimes) : strategies;
+
+    // Scan state for /health and counters for /metrics
+    const status = { running: false, lastScanAt: null, lastScanStatus: null, lastScanDuration: null, symbolsScanned: 0, failedSources: {}, sources: {} };
+    const scanDuration = metrics.gauge('scan_duration_seconds', 'Duration of the last full scan');
+    const symbolsScanned = metrics.gauge('symbols_scanned', 'Symbols scored in the last scan');
+    const lastScanTime = metrics.gauge('last_scan_timestamp_seconds', 'Unix time the last scan finished');
+    const scansTotal = metrics.counter('scans_total', 'Scans run, by outcome');
+    const sourceErrors = metrics.counter('source_errors_total', 'Failed calls per upstream data source');
+
+    // Market-wide inputs of the last scan, reused by /scan/:symbol
+    let lastMarketContext = { socialData: {}, whaleFlows: [], fearIndex: undefined, degradedSources: [] };
+
+    const sourceFailed = (source, error) => {
+        status.failedSources[source] = error.message;
+        sourceErrors.inc({ source });
+    };
+
+    /**
+     * CORE SCORING ENGINE
+     * Scores every market of the universe with the active strategies (chart,
+     * social, on-chain and market-wide signals) and ranks them.
+     *
+     * `universe` replaces the CoinGecko top coins (and `universe.include`)
+     * with a list of markets ("BTC/USD") or base symbols ("BTC"). Without `save` nothing is written
+     * to master_picks.json or the history, without `post` nothing is published.
+     * `source` tags the stored scan; only 'scheduled' scans feed the daily
+     * report and the digests.
+     * Resolves to { top, ranked, regime, dropped }, or null if the scan failed;
+     * `dropped` lists the markets the universe filters left out and why.
+     */
+    async function getUnifiedPicks({ top = scanSettings.top, universe, post = true, save = true, source = 'scheduled' } = {}) {
+        console.log(`[${new Date().toLocaleTimeString()}] Scoring ${universe ? universe.join(', ') : 'the market universe'} with ${strategies.length} strategies...`);
+
+        // Logs which X account the picks will go out from
+        const verifyUser = async () => {
+            try {
+                const user = await twitterClient.v2.me();
+                console.log("✅ Authenticated as:", user.data.username);
+            } catch (e) {
+                console.error("❌ Auth Check Failed:", e.data ? e.data.detail : e.message);
+            }
+        };
+        if (post && twitterClient) verifyUser();
+        const startedAt = Date.now();
+        status.running = true;
+        status.failedSources = {};
+        status.sources = {};
+        try {
+            // --- 1. GLOBAL DATA FETCHING (Outside the loop for efficiency) ---
+            const coins = universe ? [] : await fetchTopAssets();
+            const { fearIndex, degradedSources } = lastMarketContext = await fetchMarketContext();
+            if (degradedSources.length) console.log(`[Sources] Scoring with stale or missing data from: ${degradedSources.join(', ')}`);
+
+            const tickers = await market.fetchTickers();
+            // NEW: Dynamic Pair Discovery Logic
+            // Maps every CoinGecko id to its market in the configured quote order (USD, then USDT, then BTC),
+            // then drops illiquid, wide-spread and excluded markets
+            const { coingeckoPages, quotes, fallback, ...filters } = config.universe;
+            let listed = { markets: [], forced: universe || [], quotes };
+            let unresolved = [];
+            const coinIds = {};
+            if (!universe && coins.length === 0 && fallback) {
+                console.log(`[Universe] No CoinGecko list, scanning the first ${fallback.limit} /${fallback.quote} markets.`);
+                listed = { markets: Object.keys(tickers).filter(s => s.endsWith(`/${fallback.quote}`)).slice(0, fallback.limit), forced: [], quotes: [fallback.quote] };
+            } else if (!universe) {
+                const resolution = symbolResolver.resolve(coins, await market.loadMarkets(), quotes);
+                listed.markets = resolution.resolved.map(r => r.symbol);
+                resolution.resolved.forEach(r => { coinIds[r.symbol] = r.id; });
+                unresolved = resolution.unresolved.map(({ id, symbol, reason, detail }) => ({ symbol, id, reason, detail }));
+            }
+            // `include` extends the CoinGecko ranking; an explicit universe is scanned as given
+            const { symbols, dropped: filtered } = buildUniverse({ ...listed, tickers, filters: universe ? { ...filters, include: [] } : filters });
+            const dropped = [...unresolved, ...filtered];
+            console.log(`[Process] Starting scan of ${symbols.length} assets...`);
+
+            let scanInputs = {}; // kept so the top picks can be charted afterwards
+            const { candidates: finalCandidates } = await runScan({
+                symbols,
+                concurrency: scanSettings.concurrency,
+                checkpointEvery: scanSettings.checkpointEvery,
+                // Only the daemon's full scan resumes; one-off scans would pick up its stale scores
+                checkpointFile: save && !universe ? scanSettings.checkpointFile : null,
+                resumeWithin: scanSettings.resumeWithin,
+                scoreOne: async (symbol) => {
+                    const currentPrice = tickers[symbol].last;
+                    const input = await fetchInputs(symbol, currentPrice, lastMarketContext);
+                    const tooShort = historyProblem(input, filters);
+                    if (tooShort) {
+                        dropped.push({ symbol, reason: 'history', detail: tooShort });
+                        return null;
+                    }
+                    const { score, triggers, breakdown, aboveTrend } = scoreSymbol(input, strategies);
+                    scanInputs[symbol] = { input, breakdown };
+                    const plan = buildTradePlan(input.ohlcv, currentPrice, config.risk);
+                    return { symbol, coinId: coinIds[symbol] || null, score, triggers, breakdown, aboveTrend, priceAt5am: currentPrice, plan, degradedSources: lastMarketContext.degradedSources };
+                },
+                // NEW: Updated logging to prevent line disappearing and show full details
+                onProgress: ({ symbol, score, priceAt5am, triggers }, done, total) => {
+                    console.log(`Scanning: [${done}/${total}] | Symbol: ${symbol} | Score: ${score} | Price: ${priceAt5am.toFixed(4)} | Triggers: [${triggers.join(", ")}]`);
+                },
+                onError: (symbol, e) => sourceFailed('exchange', e)
+            });
+            logDropped(dropped, symbols.length);
+
+            // Market regime from BTC trend/volatility, universe breadth and Fear & Greed
+            let btcDaily = [];
+            try {
+                btcDaily = await market.fetchOHLCV(regimeSettings.benchmark, '1d', undefined, regimeSettings.slow + 10);
+            } catch (e) { sourceFailed('exchange', e); }
+            const breadth = finalCandidates.filter(c => c.aboveTrend).length / (finalCandidates.length || 1);
+            const regime = detectRegime({ btcDaily, breadth, fearIndex }, regimeSettings);
+            status.regime = regime;
+            console.log(`[Regime] ${regime.regime.toUpperCase()} | BTC trend: ${regime.btcTrend} | Breadth: ${(breadth * 100).toFixed(0)}% | Volatility: ${regime.volatility === null ? 'n/a' : (regime.volatility * 100).toFixed(2) + '%'} | Fear & Greed: ${fearIndex}`);
+
+            // Regime-weighted, universe-normalized ranking
+            const ranked = rankCandidates(finalCandidates, { strategies: weightsFor(regime.regime), normalize });
+            const picks = ranked.slice(0, top);
+            if (save) {
+                const { scanId } = history.appendScan({ candidates: ranked, top: picks, regime, dropped, source });
+                fs.writeFileSync(storageFile, JSON.stringify(picks.map(p => ({ ...p, scanId }))));
+                if (config.paper.enabled) {
+                    try {
+                        // Settle the exits first so their cash is available to the new orders
+                        await paper.update();
+                        paper.open(picks, { scanId });
+                    } catch (e) { console.error("❌ [Paper] Failed to queue the picks:", e.message); }
+                }
+            }
+
+            console.log(`\n--- UNIFIED MORNING TOP ${top} ---`);
+            console.table(picks.map(p => ({
+                Symbol: p.symbol,
+                Score: p.score,
+                Raw: p.rawScore,
+                Pctl: p.percentile,
+                Primary_Catalyst: p.triggers[0],
+                Secondary: p.triggers[1] || "None"
+            })));
+
+            if (post && picks.length === 0) {
+                console.log("[Publish] No picks to publish.");
+            } else if (post) {
+                // Wait 2 seconds before posting to avoid rate limits
+                await sleep(2000);
+                // Post top suggestions to X and the other configured channels
+                await publishSuggestions(picks, scanInputs);
+            }
+
+            status.lastScanStatus = 'ok';
+            status.symbolsScanned = finalCandidates.length;
+            symbolsScanned.set(finalCandidates.length);
+            scansTotal.inc({ status: 'ok' });
+            return { top: picks, ranked, regime, dropped };
+        } catch (err) {
+            console.error("Critical error during scan:", err);
+            status.lastScanStatus = 'failed';
+            status.lastError = err.message;
+            scansTotal.inc({ status: 'failed' });
+            return null;
+        } finally {
+            status.running = false;
+            status.lastScanAt = new Date().toISOString();
+            status.lastScanDuration = (Date.now() - startedAt) / 1000;
+            scanDuration.set(status.lastScanDuration);
+            lastScanTime.set(Math.floor(Date.now() / 1000));
+        }
+    }
+
+    /**
+     * Records a provider result in /health and the source error counter
+     */
+    const track = (result) => {
+        const { name, status: state, fresh, fetchedAt, error } = result;
+        status.sources[name] = { status: state, fresh, fetchedAt, error };
+        if (error) sourceFailed(name, { message: error });
+        return result;
+    };
+
+    /**
+     * Top coins by market cap from CoinGecko (`universe.coingeckoPages` x 250)
+     * as { id, symbol, name }, minus every stablecoin DefiLlama knows
+     */
+    async function fetchTopAssets() {
+        // NEW: Fetch Comprehensive Stablecoin List from DefiLlama
+        console.log("[Setup] Fetching master stablecoin list from DefiLlama...");
+        let stablecoinBlacklist = new Set(['usdt', 'usdc', 'dai', 'busd', 'fdusd', 'pyusd', 'usdg', 'rlusd']);
+        // Fallback defaults
+        const llama = track(await providers.defillama.get());
+        llama.data.forEach(s => stablecoinBlacklist.add(s));
+        console.log(`[Setup] Blacklisted ${stablecoinBlacklist.size} total stablecoins (${llama.status}).`);
+
+        console.log(`[Gecko] Fetching Top ${config.universe.coingeckoPages * 250} Market Cap assets...`);
+        const gecko = track(await providers.coingecko.get());
+        return gecko.data.filter(coin => !stablecoinBlacklist.has(coin.symbol.toLowerCase()));
+    }
+
+    /**
+     * Market-wide inputs: Fear & Greed, LunarCrush social data and Whale Alert flows,
+     * plus the names of the sources that only had stale or fallback data
+     */
+    async function fetchMarketContext() {
+        const [fng, social, whales] = (await Promise.all([
+            // Strategy 17: Inverse Sentiment (Fear & Greed)
+            providers.fearGreed.get(),
+            // Strategy 13: Social Sentiment (LunarCrush)
+            providers.lunarcrush.get(),
+            // Strategy 15: Whale Inflow (Whale Alert)
+            providers.whaleAlert.get()
+        ])).map(track);
+
+        return {
+            socialData: social.data,
+            whaleFlows: whales.data,
+            fearIndex: fng.data ? fng.data.value : undefined,
+            degradedSources: Object.keys(status.sources).filter(name => !status.sources[name].fresh)
+        };
+    }
+
+    /**
+     * Universe report: how many markets each filter dropped (the full list is
+     * stored with the scan)
+     */
+    function logDropped(dropped, scanned) {
+        const counts = countByReason(dropped);
+        const summary = Object.entries(counts).map(([reason, n]) => `${reason} ${n}`).join(', ');
+        console.log(`[Universe] Kept ${scanned - (counts.history || 0)} markets, dropped ${dropped.length}${summary ? ` (${summary})` : ''}.`);
+    }
+
+    /**
+     * Fetches candles and funding for one market: the strategy input without the scores
+     */
+    async function fetchInputs(symbol, currentPrice, { socialData, whaleFlows, fearIndex }) {
+        // FETCH DATA
+        const ohlcv = await market.fetchOHLCV(symbol, '1h', undefined, Math.max(100, config.universe.minHourlyBars));
+        const dailyOhlcv = await market.fetchOHLCV(symbol, '1d', undefined, Math.max(30, config.universe.minDailyBars, regimeSettings.breadthPeriod + 1));
+        // 15m and 4h candles for the multi-timeframe strategies
+        const frames = {};
+        for (const [timeframe, bars] of Object.entries(scanSettings.timeframes)) {
+            if (bars > 0) frames[timeframe] = await market.fetchOHLCV(symbol, timeframe, undefined, bars);
+        }
+
+        // 16. Max Pain / Funding (not every market has perps)
+        let fundingRate;
+        try {
+            const funding = await market.fetchFundingRate(symbol);
+            fundingRate = funding.fundingRate;
+        } catch(e){}
+
+        return {
+            ohlcv, dailyOhlcv, frames, currentPrice, coinSymbol: symbol.split('/')[0],
+            socialData, whaleFlows, fundingRate, fearIndex, breadthPeriod: regimeSettings.breadthPeriod
+        };
+    }
+
+    /**
+     * Fetches candles and funding for one market and runs the strategies on it
+     */
+    async function scoreMarket(symbol, currentPrice, context, active = strategies) {
+        const input = await fetchInputs(symbol, currentPrice, context);
+        return { ...scoreSymbol(input, active), input };
+    }
+
+    /**
+     * Re-scores `symbols` with fresh candles and the latest scan's regime
+     * weights, ranked like the morning scan (nothing is stored)
+     */
+    async function rescore(symbols) {
+        const latest = history.latestScan();
+        const context = await fetchMarketContext();
+        const tickers = await market.fetchTickers();
+        const results = await runPool(symbols.filter(s => tickers[s]), scanSettings.concurrency, async (symbol) => {
+            const { score, triggers, breakdown } = await scoreMarket(symbol, tickers[symbol].last, context);
+            return { symbol, score, triggers, breakdown, priceAt5am: tickers[symbol].last };
+        });
+        const candidates = results.filter(r => r.value).map(r => r.value);
+        return rankCandidates(candidates, { strategies: weightsFor(latest && latest.regime ? latest.regime.regime : null), normalize });
+    }
+
+    /**
+     * The picks in master_picks.json with the scan they came from
+     */
+    function currentPicks() {
+        if (!fs.existsSync(storageFile)) return null;
+        const picks = JSON.parse(fs.readFileSync(storageFile));
+        const scanId = picks.length && picks[0].scanId ? picks[0].scanId : fs.statSync(storageFile).mtime.toISOString();
+        return { scanId, scannedAt: scanId, picks };
+    }
+
+    // Intraday alerts for the current picks (see lib/alerts.js)
+    const alerts = createAlertMonitor({
+        market,
+        history,
+        loadPicks: currentPicks,
+        rescore,
+        notify: (alert) => publisher.publish('alert', { alert }),
+        settings: config.alerts
+    });
+
+    /**
+     * Scores one market with the weights of the latest scan's regime and
+     * explains every strategy: measured inputs, thresholds, fired or not and
+     * its contribution. Normalized contributions use the latest scan's
+     * universe, so they match how the symbol would have ranked in it.
+     */
+    async function explain(symbol) {
+        const latest = history.latestScan();
+        const regime = latest && latest.regime ? latest.regime.regime : null;
+        const active = weightsFor(regime);
+        const rates = latest && normalize ? fireRates(latest.candidates) : undefined;
+
+        const ticker = await market.fetchTicker(symbol);
+        const context = await fetchMarketContext();
+        const { input, score } = await scoreMarket(symbol, ticker.last, context, active);
+        const rows = explainSymbol(input, active, { rates });
+
+        return {
+            symbol,
+            price: ticker.last,
+            regime,
+            rawScore: score,
+            score: rates ? Math.round(rows.reduce((sum, r) => sum + r.normalized, 0) * 100) / 100 : score,
+            universe: latest ? { scanId: latest.scanId, size: latest.candidates.length } : null,
+            context: { fearIndex: context.fearIndex, fundingRate: input.fundingRate, degradedSources: context.degradedSources },
+            strategies: rows
+        };
+    }
+
+    /**
+     * Publish Nightly Top 5 Suggestions (X and any other configured channel)
+     * with each pick's 1h candles and trigger points for the chart attachments
+     */
+    async function publishSuggestions(picks, scanInputs = {}) {
+        const charts = {};
+        picks.forEach(p => {
+            const scanned = scanInputs[p.symbol];
+            if (!scanned) return;
+            charts[p.symbol] = {
+                hourly: scanned.input.ohlcv,
+                markers: triggerMarkers(scanned.input, scanned.breakdown, strategies)
+            };
+        });
+
+        console.log("📝 Publishing Nightly Suggestions...");
+        await publisher.publish('picks', { picks, charts });
+    }
+
+    /**
+     * Picks of the last scheduled scan on a UTC date (YYYY-MM-DD) from the
+     * history, or the current master_picks.json without a date
+     */
+    function picksFor(date) {
+        if (!date) {
+            if (!fs.existsSync(storageFile)) return null;
+            return { picks: JSON.parse(fs.readFileSync(storageFile)) };
+        }
+        const scan = history.readScans().filter(s => isScheduled(s) && s.scannedAt.slice(0, 10) === date).pop();
+        if (!scan) return null;
+        const picks = scan.top.map(symbol => scan.candidates.find(c => c.symbol === symbol)).filter(Boolean);
+        const outcomes = history.readOutcomes().filter(o => o.scanId === scan.scanId && o.horizon === '24h');
+        return { picks, scannedAt: Date.parse(scan.scannedAt), outcomes };
+    }
+
+    /**
+     * EOD PERFORMANCE TRACKER
+     * With a `date`, re-runs the report for that day's stored picks: prices
+     * and plan results are taken 24h after the scan instead of now.
+     */
+    async function reportPerformance({ date, post = true } = {}) {
+        console.log(`\n--- END OF DAY PERFORMANCE REPORT${date ? ` (${date})` : ''} ---`);
+        const stored = picksFor(date);
+        if (!stored) {
+            if (date) console.log(`[Report] No scan stored for ${date}.`);
+            return null;
+        }
+
+        try {
+            const { picks, scannedAt, outcomes = [] } = stored;
+            const reportAt = scannedAt ? scannedAt + 24 * HOUR : Date.now();
+            let results = [];
+
+            for (const pick of picks) {
+                try {
+                    // Did the stop or a take-profit get hit first since the scan?
+                    // (picks saved before trade plans existed have no entry time; they only get the ticker)
+                    const start = scannedAt || (pick.plan && Date.parse(pick.plan.entryAt));
+                    const intraday = start ? (await market.fetchOHLCV(pick.symbol, '1h', start - HOUR, 200)).filter(c => c[0] < reportAt) : [];
+
+                    // Past reports use the recorded 24h outcome, else the close 24h after the scan
+                    const outcome = outcomes.find(o => o.symbol === pick.symbol);
+                    const price = outcome ? outcome.price
+                        : scannedAt && reportAt <= Date.now() && intraday.length ? intraday[intraday.length - 1][4]
+                        : (await market.fetchTicker(pick.symbol)).last;
+                    const change = ((price - pick.priceAt5am) / pick.priceAt5am) * 100;
+
+                    console.log(`${pick.symbol}: Started @ ${pick.priceAt5am.toFixed(4)} -> Now @ ${price.toFixed(4)} | Change: ${change.toFixed(2)}% ${change >= 10 ? '✅ 10% TARGET MET' : ''}`);
+
+                    let planResult = null;
+                    if (pick.plan) {
+                        planResult = evaluateTradePlan(pick.plan, intraday);
+                        console.log(`   Plan: stop ${pick.plan.stop} | targets ${pick.plan.takeProfits.join(' / ')} -> ${planResult.outcome.toUpperCase()}${planResult.hitAt ? ` @ ${planResult.hitAt}` : ''} | ${planResult.targetsHit} target(s) | ${planResult.rMultiple}R`);
+                    }
+                    results.push({ symbol: pick.symbol, priceAt5am: pick.priceAt5am, price, change, plan: pick.plan, planResult });
+                } catch (e) { console.log(`Error tracking ${pick.symbol}`); }
+            }
+
+            // Fill in the 1h/4h/24h/7d outcomes of every stored scan that is due
+            const recorded = await recordOutcomes(history, market);
+            console.log(`[History] Recorded ${recorded} new outcomes.`);
+            const trackRecord = logTrackRecord(Math.min(reportAt, Date.now()));
+            const portfolio = config.paper.enabled ? await paperPerformance(Math.min(reportAt, Date.now())) : null;
+
+            if (post) {
+                console.log("📝 Publishing Comparison Report...");
+                await publisher.publish('report', { ...(scannedAt && { date: new Date(scannedAt) }), results, trackRecord, paper: portfolio });
+            }
+            return { results, trackRecord, paper: portfolio };
+        } catch (error) {
+            console.error("❌ Failed to report performance:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Prints the rolling win rate plus per-trigger and per-symbol results from the pick history
+     */
+    function logTrackRecord(now = Date.now()) {
+        const trackRecord = history.rollingWinRate({ horizon: '24h', days: 30, now });
+        console.log(`\n--- 30 DAY TRACK RECORD (24h) --- Picks: ${trackRecord.picks} | Win Rate: ${trackRecord.winRate.toFixed(1)}% | 10% Hits: ${trackRecord.hitRate.toFixed(1)}% | Avg: ${trackRecord.avgReturn.toFixed(2)}%`);
+
+        const format = (row) => ({ ...row, winRate: row.winRate.toFixed(1), hitRate: row.hitRate.toFixed(1), avgReturn: row.avgReturn.toFixed(2) });
+        console.table(history.performanceByTrigger().map(format));
+        console.table(history.performanceBySymbol().slice(0, 10).map(format));
+        return trackRecord;
+    }
+
+    /**
+     * Brings the paper portfolio up to date and prints its statistics as of `until`
+     */
+    async function paperPerformance(until = Date.now()) {
+        try {
+            await paper.update();
+        } catch (e) { console.error("❌ [Paper] Update failed:", e.message); }
+        const summary = paper.summary(until);
+        console.log(`\n--- PAPER PORTFOLIO --- Equity: ${summary.equity} (${summary.returnPct}%) | Max DD: ${summary.maxDrawdownPct}% | Sharpe: ${summary.sharpe === null ? 'n/a' : summary.sharpe} | Turnover: ${summary.turnover}x | Trades: ${summary.trades} (${summary.winRate}% won) | Fees: ${summary.fees}`);
+        if (summary.open.length) console.table(summary.open);
+        return summary;
+    }
+
+    /**
+     * WEEKLY/MONTHLY DIGEST
+     * Builds the digest of the `period` ending at `until` from the pick
+     * history, exports it as CSV (calls and equity curve) with the equity
+     * chart as PNG and SVG under the digest directory, and publishes it.
+     */
+    async function performanceDigest({ period = 'weekly', until = Date.now(), post = true } = {}) {
+        console.log(`\n--- ${period.toUpperCase()} PERFORMANCE DIGEST ---`);
+        const settings = config.digest;
+        const days = DIGEST_PERIODS[period];
+        if (!days) {
+            console.log(`[Digest] Unknown period "${period}" (${Object.keys(DIGEST_PERIODS).join(', ')}).`);
+            return null;
+        }
+
+        try {
+            // Outcomes that fell due since the last report count as well
+            const recorded = await recordOutcomes(history, market);
+            if (recorded) console.log(`[History] Recorded ${recorded} new outcomes.`);
+
+            let candles = [];
+            try {
+                const from = until - days * 24 * HOUR - 2 * HOUR;
+                candles = (await market.fetchOHLCV(settings.benchmark, BENCHMARK_TIMEFRAME, from, days * 6 + 12)).filter(c => c[0] < until);
+            } catch (e) { console.log(`[Digest] No ${settings.benchmark} candles, comparing without it: ${e.message}`); }
+
+            const digest = buildDigest({
+                period,
+                until,
+                scans: history.readScans(),
+                outcomes: history.readOutcomes(),
+                benchmark: { symbol: settings.benchmark, candles },
+                horizon: settings.horizon,
+                calls: settings.calls
+            });
+            console.log(`Picks: ${digest.returnPct}% vs ${settings.benchmark}: ${digest.benchmark.returnPct === null ? 'n/a' : `${digest.benchmark.returnPct}%`} | Win Rate: ${digest.winRate}% | ${digest.picks} picks from ${digest.scans} scans (${digest.pending} pending)`);
+            if (digest.triggers.length) console.table(digest.triggers);
+
+            const dir = settings.dir || path.join(config.historyDir, 'digests');
+            const base = path.join(dir, `${period}-${digest.until.slice(0, 10)}`);
+            const { calls, equity } = digestCsv(digest);
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(`${base}-calls.csv`, calls);
+            fs.writeFileSync(`${base}-equity.csv`, equity);
+            fs.writeFileSync(`${base}.png`, renderEquityChart(digest, 'png'));
+            fs.writeFileSync(`${base}.svg`, renderEquityChart(digest, 'svg'));
+            console.log(`[Digest] Wrote ${base}-calls.csv, -equity.csv, .png and .svg`);
+
+            if (post) {
+                console.log("📝 Publishing Digest...");
+                await publisher.publish('digest', { date: new Date(until), digest });
+            }
+            return digest;
+        } catch (error) {
+            console.error("❌ Failed to build the digest:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Dashboard, JSON API and keep-alive
+     */
+    function startServer(port) {
+        return createServer({
+            history,
+            status,
+            metrics,
+            storageFile,
+            // Same breakdown as `cli.js explain`, limited so it can't starve the scan of exchange calls
+            scanSymbol: config.server.scanPerMinute > 0 ? explain : null,
+            scanLimit: createTokenBucket({ ratePerSecond: config.server.scanPerMinute / 60 })
+        }).listen(port, () => {
+            console.log(`[Keep-Alive] Server listening on port ${port}`);
+        });
+    }
+
+    /**
+     * Runs as a daemon: server (unless disabled), daily schedules and an initial scan
+     */
+    function serve() {
+        if (config.server.enabled) startServer(config.server.port);
+
+        // Schedules: 08:00 Scan | 08:15 Report (UTC) unless configured otherwise
+        const { timezone, scan, report } = config.schedule;
+        cron.schedule(scan, () => getUnifiedPicks(), { timezone });
+        cron.schedule(report, () => reportPerformance(), { timezone });
+        console.log(`[Schedule] Profile "${config.profile}": scan "${scan}", report "${report}" (${timezone})`);
+
+        // Weekly and monthly digests of the pick history
+        if (config.digest.enabled) {
+            cron.schedule(config.schedule.weekly, () => performanceDigest({ period: 'weekly' }), { timezone });
+            cron.schedule(config.schedule.monthly, () => performanceDigest({ period: 'monthly' }), { timezone });
+            console.log(`[Schedule] Digests: weekly "${config.schedule.weekly}", monthly "${config.schedule.monthly}" (${timezone})`);
+        }
+
+        // Intraday alerts for the day's picks
+        if (config.alerts.enabled) alerts.start();
+
+        // Initial start
+        return getUnifiedPicks();
+    }
+
+    return {
+        getUnifiedPicks,
+        scoreMarket,
+        explain,
+        publishSuggestions,
+        reportPerformance,
+        logTrackRecord,
+        paperPerformance,
+        performanceDigest,
+        rescore,
+        currentPicks,
+        monitor: alerts.start,
+        checkAlerts: alerts.check,
+        startServer,
+        serve,
+        status,
+        market,
+        history,
+        paper
+    };
+}
+
+module.exports = { createBot };
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const { TIMEFRAME_MS } = require('./timeframes');
+
+const CANDLE_CACHE_DIR = './cache/candles';
+
+/**
+ * ON-DISK CANDLE CACHE
+ * Keeps up to `maxBars` candles per symbol and timeframe in
+ * <dir>/<BASE>_<QUOTE>.<tf>.json, the same layout the backtest and the
+ * mock exchange read. A cached series is topped up from its last bar
+ * (which may have been still forming), so a warm scan only downloads
+ * the bars that closed since the previous run. A series shorter than
+ * the request is refetched whole, as the top-up never reaches back.
+ */
+function createCandleCache({ dir = CANDLE_CACHE_DIR, maxBars = 1000 } = {}) {
+    const fileFor = (symbol, timeframe) => path.join(dir, `${symbol.replace('/', '_')}.${timeframe}.json`);
+
+    const read = (symbol, timeframe) => {
+        const file = fileFor(symbol, timeframe);
+        if (!fs.existsSync(file)) return [];
+        try { return JSON.parse(fs.readFileSync(file)); } catch (e) { return []; }
+    };
+
+    const write = (symbol, timeframe, rows) => {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(fileFor(symbol, timeframe), JSON.stringify(rows));
+    };
+
+    /**
+     * Returns the latest `limit` candles, fetching only what the cache is missing.
+     * `fetch(since, limit)` performs the actual exchange call.
+     */
+    async function get(symbol, timeframe, limit, fetch) {
+        const cached = read(symbol, timeframe);
+        const step = TIMEFRAME_MS[timeframe];
+        const lastTs = cached.length ? cached[cached.length - 1][0] : null;
+        const missing = lastTs !== null && step ? Math.ceil((Date.now() - lastTs) / step) + 1 : Infinity;
+
+        // Too short, too stale (or unknown timeframe) to top up: refetch the full window
+        const fresh = cached.length < limit || missing > limit
+            ? await fetch(undefined, limit)
+            : await fetch(lastTs, missing);
+
+        const byTs = new Map(cached.map(r => [r[0], r]));
+        fresh.forEach(r => byTs.set(r[0], r));
+        const merged = [...byTs.values()].sort((a, b) => a[0] - b[0]).slice(-maxBars);
+        write(symbol, timeframe, merged);
+        return merged.slice(-limit);
+    }
+
+    return { get, read, fileFor };
+}
+
+module.exports = { CANDLE_CACHE_DIR, createCandleCache };
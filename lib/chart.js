@@ -0,0 +1,225 @@
+const zlib = require('zlib');
+
+/**
+ * TINY PNG CHARTS
+ * Rasterizes simple line charts straight into an RGBA buffer and encodes
+ * it with zlib, so the bot can attach images without a native canvas.
+ * The same charts can also be written as SVG text for files and pages.
+ */
+const COLORS = {
+    background: [255, 255, 255],
+    grid: [235, 235, 235],
+    range: [200, 200, 200],
+    line: [40, 40, 40],
+    marker: [255, 140, 0],
+    entry: [30, 110, 230]
+};
+
+function createCanvas(width, height, background = COLORS.background) {
+    const pixels = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) pixels.set([...background, 255], i * 4);
+
+    const set = (x, y, color) => {
+        x = Math.round(x); y = Math.round(y);
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+        pixels.set([...color, 255], (y * width + x) * 4);
+    };
+
+    // Bresenham line
+    const line = (x0, y0, x1, y1, color) => {
+        x0 = Math.round(x0); y0 = Math.round(y0); x1 = Math.round(x1); y1 = Math.round(y1);
+        const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        while (true) {
+            set(x0, y0, color);
+            if (x0 === x1 && y0 === y1) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x0 += sx; }
+            if (e2 <= dx) { err += dx; y0 += sy; }
+        }
+    };
+
+    const dot = (cx, cy, r, color) => {
+        for (let y = -r; y <= r; y++) {
+            for (let x = -r; x <= r; x++) {
+                if (x * x + y * y <= r * r) set(cx + x, cy + y, color);
+            }
+        }
+    };
+
+    return { width, height, pixels, set, line, dot };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encodes a canvas as an 8-bit RGBA PNG.
+ */
+function encodePng({ width, height, pixels }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 6, 0, 0, 0], 8);
+
+    // Each scanline is prefixed with filter type 0 (none)
+    const raw = Buffer.alloc((width * 4 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Maps chart values onto the plot area: x(index) and y(value) in pixels.
+ * Shared by the PNG and SVG renderers.
+ */
+function plotArea({ width, height, padding, series = [], ranges = [], markers = [] }) {
+    const all = [
+        ...series.flatMap(s => s.values),
+        ...ranges.flatMap(r => [r.high, r.low]),
+        ...markers.map(m => m.value)
+    ].filter(v => Number.isFinite(v));
+    const count = Math.max(1, ...series.map(s => s.values.length), ranges.length);
+
+    let min = Math.min(...all), max = Math.max(...all);
+    if (!Number.isFinite(min)) { min = 0; max = 1; }
+    if (min === max) { min -= 1; max += 1; }
+
+    return {
+        min,
+        max,
+        x: (i) => padding + (i / Math.max(1, count - 1)) * (width - 2 * padding),
+        y: (v) => height - padding - ((v - min) / (max - min)) * (height - 2 * padding)
+    };
+}
+
+/**
+ * Draws one or more series on shared axes and returns PNG bytes.
+ *   series:  [{ values: [..], color }] (non-finite values leave a gap)
+ *   ranges:  optional [{ high, low }] per index, drawn as light wicks
+ *   markers: [{ index, value, color }]
+ */
+function renderLineChart({ width = 600, height = 300, padding = 12, series = [], ranges = [], markers = [] }) {
+    const canvas = createCanvas(width, height);
+    const { x, y } = plotArea({ width, height, padding, series, ranges, markers });
+
+    for (let g = 0; g <= 4; g++) {
+        const gy = padding + (g / 4) * (height - 2 * padding);
+        canvas.line(padding, gy, width - padding, gy, COLORS.grid);
+    }
+
+    ranges.forEach((r, i) => canvas.line(x(i), y(r.high), x(i), y(r.low), COLORS.range));
+
+    for (const s of series) {
+        for (let i = 1; i < s.values.length; i++) {
+            if (!Number.isFinite(s.values[i - 1]) || !Number.isFinite(s.values[i])) continue;
+            canvas.line(x(i - 1), y(s.values[i - 1]), x(i), y(s.values[i]), s.color || COLORS.line);
+        }
+    }
+
+    markers.forEach(m => canvas.dot(x(m.index), y(m.value), 4, m.color || COLORS.marker));
+
+    return encodePng(canvas);
+}
+
+const rgb = ([r, g, b]) => `rgb(${r},${g},${b})`;
+const escapeXml = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+/**
+ * SVG version of renderLineChart for series only, with an optional title,
+ * the value range on the left and a legend from each series' `label`.
+ */
+function renderSvgLineChart({ width = 600, height = 300, padding = 32, title, series = [] }) {
+    const { x, y, min, max } = plotArea({ width, height, padding, series });
+    const label = (v) => Number(v.toPrecision(4));
+    const parts = [];
+
+    for (let g = 0; g <= 4; g++) {
+        const gy = padding + (g / 4) * (height - 2 * padding);
+        parts.push(`<line x1="${padding}" y1="${gy}" x2="${width - padding}" y2="${gy}" stroke="${rgb(COLORS.grid)}"/>`);
+    }
+    parts.push(`<text x="4" y="${padding + 4}" font-size="10">${label(max)}</text>`);
+    parts.push(`<text x="4" y="${height - padding + 4}" font-size="10">${label(min)}</text>`);
+
+    for (const s of series) {
+        // Gaps split the line into separate polylines
+        const runs = [[]];
+        s.values.forEach((v, i) => {
+            if (Number.isFinite(v)) runs[runs.length - 1].push(`${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+            else runs.push([]);
+        });
+        runs.filter(r => r.length > 1).forEach(r => parts.push(`<polyline fill="none" stroke-width="2" stroke="${rgb(s.color || COLORS.line)}" points="${r.join(' ')}"/>`));
+    }
+
+    series.filter(s => s.label).forEach((s, i) => {
+        const lx = padding + i * 140;
+        parts.push(`<rect x="${lx}" y="${height - 14}" width="10" height="10" fill="${rgb(s.color || COLORS.line)}"/>`);
+        parts.push(`<text x="${lx + 14}" y="${height - 5}" font-size="11">${escapeXml(s.label)}</text>`);
+    });
+    if (title) parts.push(`<text x="${padding}" y="16" font-size="13" font-weight="bold">${escapeXml(title)}</text>`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">
+<rect width="100%" height="100%" fill="${rgb(COLORS.background)}"/>
+${parts.join('\n')}
+</svg>
+`;
+}
+
+/**
+ * Hourly price chart for a pick: close line, high/low wicks, trigger
+ * markers in orange and the entry (last close) in blue.
+ */
+function renderPickChart(ohlcv, markers = []) {
+    const last = ohlcv.length - 1;
+    return renderLineChart({
+        series: [{ values: ohlcv.map(c => c[4]) }],
+        ranges: ohlcv.map(c => ({ high: c[2], low: c[3] })),
+        markers: [
+            ...markers.map(m => ({ ...m, color: COLORS.marker })),
+            { index: last, value: ohlcv[last][4], color: COLORS.entry }
+        ]
+    });
+}
+
+/**
+ * Equity curve of a digest (lib/digest.js): the picks in blue, the
+ * benchmark in orange. `format` is 'png' (Buffer) or 'svg' (string).
+ */
+function renderEquityChart(digest, format = 'png') {
+    const series = [
+        { values: digest.equity.map(p => p.picks), color: COLORS.entry, label: 'Picks' },
+        { values: digest.equity.map(p => p.benchmark === null ? NaN : p.benchmark), color: COLORS.marker, label: digest.benchmark.symbol }
+    ];
+    if (format === 'svg') {
+        return renderSvgLineChart({ title: `${digest.period[0].toUpperCase()}${digest.period.slice(1)} equity (start = 100)`, series });
+    }
+    return renderLineChart({ series });
+}
+
+module.exports = { COLORS, createCanvas, encodePng, renderLineChart, renderSvgLineChart, renderPickChart, renderEquityChart };
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const cron = require('node-cron');
+const { BUILT_IN, createRegistry } = require('./strategies');
+const { higherTimeframe } = require('./timeframes');
+const { DEFAULT_ALERTS } = require('./alerts');
+const { DEFAULT_PAPER } = require('./paper-trading');
+const { DEFAULT_FILTERS } = require('./universe');
+const { DEFAULT_DIGEST } = require('./digest');
+const { HORIZONS } = require('./history');
+
+// Read when no file is passed, unless CONFIG_FILE names another one
+const CONFIG_FILE = './config.json';
+
+/**
+ * Every setting with its default. config.json only needs the keys it changes.
+ */
+const DEFAULTS = {
+    profile: 'prod',
+    // Latest top picks, compared against by the EOD report
+    storageFile: './master_picks.json',
+    historyDir: './history',
+    // GET /scan/:symbol scores live and shares the scan's exchange limits: at most this many per minute (0 turns it off)
+    server: { enabled: true, port: 8080, scanPerMinute: 6 },
+    // Cron expressions evaluated in `timezone`
+    schedule: { timezone: 'UTC', scan: '0 8 * * *', report: '15 8 * * *', weekly: '30 8 * * 1', monthly: '45 8 1 * *' },
+    exchanges: ['kraken'],
+    mockFixtures: './test/fixtures/exchange',
+    rateLimits: {},
+    candleCache: { dir: './cache/candles', maxBars: 1000 },
+    scan: {
+        top: 5, concurrency: 4, checkpointEvery: 10, checkpointFile: './cache/scan-checkpoint.json',
+        // Extra candles per symbol for the multi-timeframe strategies (1h and 1d are always loaded, 0 skips one).
+        // 4h confirms every hourly strategy, so it can only be 0 once those have "confirm": false.
+        timeframes: { '15m': 100, '4h': 100 }
+    },
+    universe: {
+        // CoinGecko market-cap pages of 250 coins each
+        coingeckoPages: 4,
+        // Quote currencies tried in order for every coin (ccxt unified codes: Kraken's XBT is BTC)
+        quotes: ['USD', 'USDT', 'BTC'],
+        // Markets to scan when CoinGecko is down: the first `limit` tickers quoted in `quote`
+        fallback: null,
+        // Liquidity, history and include/exclude filters (lib/universe.js)
+        ...DEFAULT_FILTERS
+    },
+    // External data providers (lib/providers): request timeout and retries in
+    // ms/count, cached responses under cacheDir; per-source url and ttl (ms)
+    sources: {
+        timeout: 10000,
+        retries: 2,
+        retryDelay: 1000,
+        cacheDir: './cache/sources',
+        defillama: { ttl: 24 * 60 * 60 * 1000 },
+        coingecko: { ttl: 60 * 60 * 1000 },
+        fearGreed: { ttl: 60 * 60 * 1000 },
+        lunarcrush: { ttl: 60 * 60 * 1000 },
+        whaleAlert: { ttl: 10 * 60 * 1000, minValue: 500000 }
+    },
+    // CoinGecko id -> market mapping table and its manual overrides (lib/symbols.js);
+    // prices of markets not quoted in `usdQuotes` are converted to USD (lib/usd-prices.js)
+    symbols: { file: './symbol-map.json', overrides: {}, usdQuotes: ['USD', 'USDT', 'USDC'] },
+    scoring: { normalize: true, regimeWeights: true },
+    // Intraday alert monitor (lib/alerts.js); times in ms
+    alerts: DEFAULT_ALERTS,
+    // Paper-trading portfolio (lib/paper-trading.js), stored in <historyDir>/paper unless `dir` is set
+    paper: DEFAULT_PAPER,
+    // Weekly/monthly performance digests (lib/digest.js); chart and CSV files in <historyDir>/digests unless `dir` is set
+    digest: DEFAULT_DIGEST,
+    strategies: {},
+    regime: {},
+    regimes: {},
+    risk: {}
+};
+
+/**
+ * Built-in profiles, applied on top of the shared settings in config.json
+ * and below its "profiles.<name>" section.
+ * beta: the experimental scan (5:00 scan, 23:59 report, USDT pairs only,
+ * raw scores) that used to live in CryptoScript-beta.js. It keeps its own
+ * picks and history and publishes nowhere.
+ */
+const PROFILES = {
+    prod: {},
+    beta: {
+        storageFile: './master_picks-beta.json',
+        historyDir: './history/beta',
+        server: { enabled: false },
+        schedule: { scan: '0 5 * * *', report: '59 23 * * *' },
+        scan: { checkpointFile: './cache/scan-checkpoint-beta.json' },
+        universe: { coingeckoPages: 2, quotes: ['USDT'], fallback: { quote: 'USDT', limit: 100 } },
+        symbols: { file: './symbol-map-beta.json' },
+        scoring: { normalize: false, regimeWeights: false },
+        alerts: { enabled: false },
+        publishers: { picks: [], report: [], alert: [], digest: [] }
+    }
+};
+
+/**
+ * Environment variables that override single settings (after profiles).
+ * Values are converted to the type the schema expects.
+ */
+const ENV_OVERRIDES = {
+    STORAGE_FILE: 'storageFile',
+    HISTORY_DIR: 'historyDir',
+    PORT: 'server.port',
+    SCHEDULE_TIMEZONE: 'schedule.timezone',
+    SCAN_CRON: 'schedule.scan',
+    REPORT_CRON: 'schedule.report',
+    WEEKLY_DIGEST_CRON: 'schedule.weekly',
+    MONTHLY_DIGEST_CRON: 'schedule.monthly',
+    EXCHANGES: 'exchanges',
+    MOCK_FIXTURES_DIR: 'mockFixtures',
+    CANDLE_CACHE_DIR: 'candleCache.dir',
+    SCAN_CHECKPOINT_FILE: 'scan.checkpointFile',
+    SYMBOL_MAP_FILE: 'symbols.file',
+    PUBLISH_DRY_RUN: 'publishers.dryRun'
+};
+
+const isTimezone = (tz) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// Value types: a string names a primitive check, an object is a nested section
+const TYPES = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    integer: v => Number.isInteger(v) && v >= 0,
+    positive: v => Number.isInteger(v) && v > 0,
+    port: v => Number.isInteger(v) && v > 0 && v < 65536,
+    boolean: v => typeof v === 'boolean',
+    strings: v => Array.isArray(v) && v.every(s => typeof s === 'string'),
+    numbers: v => Array.isArray(v) && v.every(n => typeof n === 'number'),
+    cron: v => typeof v === 'string' && cron.validate(v),
+    timezone: v => typeof v === 'string' && isTimezone(v),
+    map: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    sizing: v => v === 'equal' || v === 'risk',
+    horizon: v => typeof v === 'string' && v in HORIZONS,
+    timeframes: v => TYPES.map(v) && Object.entries(v).every(([tf, bars]) => ['15m', '4h'].includes(tf) && TYPES.integer(bars))
+};
+
+const SCHEMA = {
+    profile: 'string',
+    storageFile: 'string',
+    historyDir: 'string',
+    server: { enabled: 'boolean', port: 'port', scanPerMinute: 'integer' },
+    schedule: { timezone: 'timezone', scan: 'cron', report: 'cron', weekly: 'cron', monthly: 'cron' },
+    exchanges: 'strings',
+    mockFixtures: 'string',
+    rateLimits: 'map',
+    candleCache: { dir: 'string', maxBars: 'positive' },
+    scan: { top: 'positive', concurrency: 'positive', checkpointEvery: 'integer', checkpointFile: 'string', resumeWithin: 'integer', timeframes: 'timeframes' },
+    universe: {
+        coingeckoPages: 'integer',
+        quotes: 'strings',
+        fallback: { $nullable: true, quote: 'string', limit: 'integer' },
+        minQuoteVolume: 'number', maxSpreadPct: 'number', minDailyBars: 'integer', minHourlyBars: 'integer',
+        include: 'strings', exclude: 'strings'
+    },
+    sources: {
+        timeout: 'integer', retries: 'integer', retryDelay: 'integer', cacheDir: 'string',
+        defillama: { url: 'string', ttl: 'integer' },
+        coingecko: { url: 'string', ttl: 'integer' },
+        fearGreed: { url: 'string', ttl: 'integer' },
+        lunarcrush: { url: 'string', ttl: 'integer' },
+        whaleAlert: { url: 'string', ttl: 'integer', minValue: 'number' }
+    },
+    symbols: { file: 'string', overrides: 'map', usdQuotes: 'strings' },
+    scoring: { normalize: 'boolean', regimeWeights: 'boolean' },
+    alerts: {
+        enabled: 'boolean', interval: 'positive', gains: 'numbers', dropPct: 'number',
+        cooldown: 'integer', rescanEvery: 'integer', top: 'positive', maxAge: 'integer'
+    },
+    paper: {
+        enabled: 'boolean', dir: 'string', startingCash: 'number', sizing: 'sizing',
+        positionPct: 'number', riskPct: 'number', fee: 'number', slippage: 'number',
+        maxHoldHours: 'integer', stop: 'boolean', target: 'integer'
+    },
+    digest: { enabled: 'boolean', dir: 'string', benchmark: 'string', horizon: 'horizon', calls: 'integer' },
+    strategies: 'map',
+    regime: {
+        benchmark: 'string', fast: 'positive', slow: 'positive', breadthPeriod: 'positive',
+        breadthOn: 'number', breadthOff: 'number', volatilityDays: 'positive',
+        maxVolatility: 'number', greed: 'number', fear: 'number'
+    },
+    regimes: 'map',
+    risk: {
+        accountSize: 'number', riskPerTrade: 'number', maxPositionPct: 'number',
+        atrPeriod: 'positive', stopAtr: 'number', takeProfitR: 'numbers'
+    },
+    publishers: { dryRun: 'boolean', picks: 'strings', report: 'strings', alert: 'strings', digest: 'strings', backends: 'map' }
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Recursive merge: objects are merged key by key, everything else
+ * (arrays included) is replaced.
+ */
+function merge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) return override === undefined ? base : override;
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = merge(base[key], value);
+    }
+    return merged;
+}
+
+/**
+ * Collects "path: problem" messages for every value the schema rejects.
+ */
+function validate(config, schema = SCHEMA, path = '') {
+    const errors = [];
+    for (const [key, value] of Object.entries(config)) {
+        const at = path + key;
+        const rule = schema[key];
+        if (rule === undefined) {
+            errors.push(`${at}: unknown setting`);
+        } else if (typeof rule === 'string') {
+            if (!TYPES[rule](value)) errors.push(`${at}: expected ${rule}, got ${JSON.stringify(value)}`);
+        } else if (value === null && rule.$nullable) {
+            continue;
+        } else if (!isPlainObject(value)) {
+            errors.push(`${at}: expected an object`);
+        } else {
+            const { $nullable, ...nested } = rule;
+            errors.push(...validate(value, nested, `${at}.`));
+        }
+    }
+    return errors;
+}
+
+/**
+ * Strategy overrides must name a built-in strategy and only tune the
+ * numeric thresholds it actually has.
+ */
+function validateStrategies(strategies = {}) {
+    const errors = [];
+    for (const [name, override] of Object.entries(strategies)) {
+        const strategy = BUILT_IN.find(s => s.name === name);
+        if (!strategy) {
+            errors.push(`strategies.${name}: unknown strategy`);
+            continue;
+        }
+        errors.push(...validate(override, { enabled: 'boolean', weight: 'number', params: 'map', regimeWeights: 'map', confirm: 'boolean' }, `strategies.${name}.`));
+        for (const [param, value] of Object.entries(override.params || {})) {
+            if (!(param in strategy.params)) errors.push(`strategies.${name}.params.${param}: unknown parameter (has ${Object.keys(strategy.params).join(', ') || 'none'})`);
+            else if (!TYPES.number(value)) errors.push(`strategies.${name}.params.${param}: expected number, got ${JSON.stringify(value)}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * A timeframe skipped in scan.timeframes can't confirm anything: reject it
+ * while an enabled strategy still waits for its candles.
+ */
+function validateConfirmation({ scan, strategies }) {
+    const errors = [];
+    const registry = createRegistry(strategies);
+    for (const [timeframe, bars] of Object.entries(scan.timeframes)) {
+        if (bars > 0) continue;
+        const waiting = registry.filter(s => s.confirm && higherTimeframe(s.timeframe || '1h') === timeframe).map(s => s.name);
+        if (waiting.length) errors.push(`scan.timeframes.${timeframe}: 0 leaves ${waiting.join(', ')} without confirmation; load ${timeframe} candles or set "confirm": false on them`);
+    }
+    return errors;
+}
+
+/**
+ * Converts an env string to the type the schema expects at `path`.
+ */
+function fromEnv(value, path) {
+    const rule = path.split('.').reduce((schema, key) => schema && schema[key], SCHEMA);
+    if (rule === 'strings') return value.split(',').map(s => s.trim()).filter(Boolean);
+    if (rule === 'boolean') return value === '1' || value.toLowerCase() === 'true';
+    if (['number', 'integer', 'positive', 'port'].includes(rule) && value.trim() !== '' && !isNaN(value)) return Number(value);
+    return value;
+}
+
+const setPath = (obj, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((o, key) => (o[key] = isPlainObject(o[key]) ? o[key] : {}), obj);
+    target[last] = value;
+};
+
+/**
+ * Loads the effective configuration:
+ *   defaults < config.json < built-in profile < config.json "profiles.<name>" < env
+ * The profile comes from the argument, PROFILE or config.json's "profile"
+ * ("prod" when none is set). Throws listing every invalid setting.
+ */
+function loadConfig({ file, profile, env = process.env } = {}) {
+    file = file || env.CONFIG_FILE || CONFIG_FILE;
+    const fromFile = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)) : {};
+    const name = profile || env.PROFILE || fromFile.profile || DEFAULTS.profile;
+    const { profiles = {}, ...base } = fromFile;
+
+    if (!isPlainObject(profiles)) throw new Error(`Invalid config (${file}): profiles must be an object`);
+    if (!PROFILES[name] && !profiles[name]) {
+        throw new Error(`Unknown config profile "${name}" (available: ${[...new Set([...Object.keys(PROFILES), ...Object.keys(profiles)])].join(', ')})`);
+    }
+
+    let config = [base, PROFILES[name], profiles[name], { profile: name }].reduce(merge, DEFAULTS);
+    const overrides = {};
+    for (const [variable, path] of Object.entries(ENV_OVERRIDES)) {
+        if (env[variable] !== undefined && env[variable] !== '') setPath(overrides, path, fromEnv(env[variable], path));
+    }
+    config = merge(config, overrides);
+
+    const errors = [...validate(config), ...validateStrategies(config.strategies)];
+    if (errors.length === 0) errors.push(...validateConfirmation(config));
+    if (errors.length) throw new Error(`Invalid config (${file}, profile "${name}"):\n  - ${errors.join('\n  - ')}`);
+    return config;
+}
+
+module.exports = { CONFIG_FILE, DEFAULTS, PROFILES, ENV_OVERRIDES, loadConfig, validate };
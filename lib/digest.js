@@ -0,0 +1,147 @@
+const { HORIZONS, isScheduled, stats } = require('./history');
+const { TIMEFRAME_MS } = require('./timeframes');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Days covered by each digest, ending at the time it is built
+const DIGEST_PERIODS = { weekly: 7, monthly: 30 };
+
+// Candles the benchmark is priced from: 30 days fit in a single request on every venue
+const BENCHMARK_TIMEFRAME = '4h';
+
+const DEFAULT_DIGEST = {
+    enabled: true,
+    // Buy-and-hold comparison for the picks' equity curve
+    benchmark: 'BTC/USD',
+    // Outcome horizon a pick is judged on (lib/history.js)
+    horizon: '24h',
+    // Best and worst calls listed
+    calls: 3
+};
+
+/**
+ * Close of the last benchmark candle finished by `at`, or the open of the
+ * first one when `at` is before any of them closed
+ */
+function priceAt(candles, at, timeframe = BENCHMARK_TIMEFRAME) {
+    const closed = candles.filter(c => c[0] + TIMEFRAME_MS[timeframe] <= at);
+    if (closed.length) return closed[closed.length - 1][4];
+    return candles.length ? candles[0][1] : null;
+}
+
+const round = (value, digits = 2) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * PERFORMANCE DIGEST
+ * Longer-term accountability for the picks, built from the stored history:
+ * the last scheduled scan of every UTC day in the period (one-off CLI
+ * scans are left out, see isScheduled) is "bought" in equal parts
+ * and sold after `horizon`, and the returns are compounded into an equity
+ * curve (starting at 100) next to buying and holding the benchmark over
+ * the same span. Scans whose horizon has not elapsed, or that have no
+ * recorded outcome yet, are counted as `pending` and left out.
+ *
+ * Returns { period, from, until, horizon, scans, pending, picks, returnPct,
+ * winRate, benchmark: { symbol, returnPct }, best, worst, triggers, calls,
+ * equity: [{ at, picks, benchmark }] }.
+ */
+function buildDigest({
+    period = 'weekly',
+    until = Date.now(),
+    scans = [],
+    outcomes = [],
+    benchmark = { symbol: DEFAULT_DIGEST.benchmark, candles: [] },
+    horizon = DEFAULT_DIGEST.horizon,
+    calls: listed = DEFAULT_DIGEST.calls
+} = {}) {
+    const days = DIGEST_PERIODS[period];
+    if (!days) throw new Error(`Unknown digest period "${period}" (${Object.keys(DIGEST_PERIODS).join(', ')})`);
+    if (!HORIZONS[horizon]) throw new Error(`Unknown outcome horizon "${horizon}" (${Object.keys(HORIZONS).join(', ')})`);
+    const from = until - days * DAY;
+    const hold = HORIZONS[horizon] * HOUR;
+
+    // One scan per day, like the daily report
+    const daily = {};
+    scans.filter(s => isScheduled(s) && Date.parse(s.scannedAt) >= from && Date.parse(s.scannedAt) < until)
+        .forEach(s => { daily[s.scannedAt.slice(0, 10)] = s; });
+
+    const calls = [];
+    const equity = [];
+    let value = 100;
+    let pending = 0;
+
+    for (const scan of Object.values(daily)) {
+        const scannedAt = Date.parse(scan.scannedAt);
+        const results = outcomes.filter(o => o.scanId === scan.scanId && o.horizon === horizon && scan.top.includes(o.symbol));
+        if (scannedAt + hold > until || results.length === 0) {
+            pending++;
+            continue;
+        }
+
+        if (equity.length === 0) equity.push({ at: scannedAt, picks: 100 });
+        value *= 1 + results.reduce((sum, o) => sum + o.change, 0) / results.length / 100;
+        equity.push({ at: scannedAt + hold, picks: value });
+        results.forEach(o => calls.push({ scannedAt: scan.scannedAt, symbol: o.symbol, triggers: o.triggers || [], entry: o.entry, exit: o.price, change: o.change }));
+    }
+
+    // Benchmark bought at the first entry and held to each exit
+    const start = equity.length ? priceAt(benchmark.candles, equity[0].at) : null;
+    equity.forEach(point => {
+        const price = start ? priceAt(benchmark.candles, point.at) : null;
+        point.benchmark = price ? round((price / start) * 100, 4) : null;
+        point.picks = round(point.picks, 4);
+    });
+
+    const byChange = [...calls].sort((a, b) => b.change - a.change);
+    const triggers = {};
+    calls.forEach(c => c.triggers.forEach(t => (triggers[t] = triggers[t] || []).push(c)));
+    const last = equity[equity.length - 1];
+
+    return {
+        period,
+        from: new Date(from).toISOString(),
+        until: new Date(until).toISOString(),
+        horizon,
+        scans: Math.max(0, equity.length - 1),
+        pending,
+        picks: calls.length,
+        returnPct: last ? round(last.picks - 100) : 0,
+        winRate: round(stats(calls, 10).winRate, 1),
+        benchmark: { symbol: benchmark.symbol, returnPct: last && last.benchmark !== null ? round(last.benchmark - 100) : null },
+        best: byChange.slice(0, listed).filter(c => c.change > 0),
+        worst: byChange.reverse().slice(0, listed).filter(c => c.change < 0),
+        triggers: Object.entries(triggers)
+            .map(([trigger, group]) => {
+                const s = stats(group, 10);
+                return { trigger, picks: s.picks, winRate: round(s.winRate, 1), avgReturn: round(s.avgReturn) };
+            })
+            .sort((a, b) => b.picks - a.picks || b.winRate - a.winRate),
+        calls,
+        equity
+    };
+}
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csv = (rows) => rows.map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+
+/**
+ * CSV exports of a digest: every measured call, and the equity curve
+ */
+function digestCsv(digest) {
+    return {
+        calls: csv([
+            ['scanned_at', 'symbol', 'triggers', 'entry', 'exit', 'change_pct'],
+            ...digest.calls.map(c => [c.scannedAt, c.symbol, c.triggers.join('; '), c.entry, c.exit, round(c.change, 4)])
+        ]),
+        equity: csv([
+            ['at', 'picks', digest.benchmark.symbol],
+            ...digest.equity.map(p => [new Date(p.at).toISOString(), p.picks, p.benchmark])
+        ])
+    };
+}
+
+module.exports = { DIGEST_PERIODS, DEFAULT_DIGEST, BENCHMARK_TIMEFRAME, buildDigest, digestCsv };
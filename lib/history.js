@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_DIR = './history';
+const HOUR = 60 * 60 * 1000;
+
+// Outcome horizons measured after each scan, in hours
+const HORIZONS = { '1h': 1, '4h': 4, '24h': 24, '7d': 168 };
+
+// Kraken only serves the last 720 hourly bars, so older gaps can't be filled
+const MAX_PENDING_AGE = 14 * 24 * HOUR;
+
+/**
+ * Appends one JSON record as a line, creating the directory on first write
+ */
+function appendLine(file, record) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Reads a JSONL file, skipping blank and corrupt lines (e.g. one cut off by a crash)
+ */
+function readLines(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try { return JSON.parse(line); } catch (e) { return null; }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Last intact record of a JSONL file, read backwards from the end so a
+ * long ledger isn't parsed whole for its newest line
+ */
+function readLastLine(file, chunkSize = 64 * 1024) {
+    if (!fs.existsSync(file)) return null;
+    const fd = fs.openSync(file, 'r');
+    try {
+        let start = fs.fstatSync(fd).size;
+        let tail = Buffer.alloc(0);
+        while (start > 0) {
+            const length = Math.min(chunkSize, start);
+            start -= length;
+            const chunk = Buffer.alloc(length);
+            fs.readSync(fd, chunk, 0, length, start);
+            tail = Buffer.concat([chunk, tail]);
+
+            // The first line is only whole once the start of the file is reached
+            const lines = tail.toString('utf8').split('\n');
+            for (let i = lines.length - 1; i >= (start > 0 ? 1 : 0); i--) {
+                if (!lines[i].trim()) continue;
+                try { return JSON.parse(lines[i]); } catch (e) { /* cut off by a crash */ }
+            }
+            if (start > 0) tail = tail.subarray(0, tail.indexOf('\n') + 1 || tail.length);
+        }
+        return null;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Whether a stored scan came from the daemon's schedule rather than a
+ * one-off CLI run; scans stored before the tag existed count as scheduled
+ */
+const isScheduled = (scan) => (scan.source || 'scheduled') === 'scheduled';
+
+/**
+ * PICK HISTORY
+ * Append-only JSONL ledger next to master_picks.json:
+ *   scans.jsonl     one line per scan with every scored candidate
+ *   outcomes.jsonl  one line per (scan, symbol, horizon) once it is measured
+ *   alerts.jsonl    one line per intraday alert sent for a scan's picks
+ * Lines are never rewritten, so a crash can at worst lose the line being written.
+ */
+function createHistoryStore(dir = HISTORY_DIR) {
+    const scansFile = path.join(dir, 'scans.jsonl');
+    const outcomesFile = path.join(dir, 'outcomes.jsonl');
+    const alertsFile = path.join(dir, 'alerts.jsonl');
+
+    /**
+     * Stores a scan. `candidates` is the full scored list; `top` the symbols picked;
+     * `dropped` the markets the universe filters left out, with the reason;
+     * `source` what ran it ('scheduled' for the daemon, 'cli' for one-off scans).
+     */
+    function appendScan({ scannedAt = new Date(), candidates, top, regime = null, dropped = [], source = 'scheduled' }) {
+        const record = {
+            scanId: new Date(scannedAt).toISOString(),
+            scannedAt: new Date(scannedAt).toISOString(),
+            regime,
+            candidates,
+            top: top.map(p => p.symbol),
+            dropped,
+            source
+        };
+        appendLine(scansFile, record);
+        return record;
+    }
+
+    const readScans = () => readLines(scansFile);
+
+    // The newest scan is read on every dashboard hit and alert poll; re-read
+    // it only when scans.jsonl changed size (e.g. a scan from another process)
+    let latest = { size: -1, scan: null };
+    function latestScan() {
+        const size = fs.existsSync(scansFile) ? fs.statSync(scansFile).size : 0;
+        if (size !== latest.size) latest = { size, scan: readLastLine(scansFile) };
+        return latest.scan;
+    }
+    const readOutcomes = () => readLines(outcomesFile);
+
+    function appendOutcome(outcome) {
+        appendLine(outcomesFile, { ...outcome, recordedAt: new Date().toISOString() });
+    }
+
+    const readAlerts = () => readLines(alertsFile);
+    const appendAlert = (alert) => appendLine(alertsFile, alert);
+
+    /**
+     * Top picks whose horizon has elapsed but has no outcome yet.
+     */
+    function pendingOutcomes(now = Date.now()) {
+        const done = new Set(readOutcomes().map(o => `${o.scanId}|${o.symbol}|${o.horizon}`));
+        const pending = [];
+
+        for (const scan of readScans()) {
+            const scannedAt = Date.parse(scan.scannedAt);
+            for (const symbol of scan.top) {
+                const pick = scan.candidates.find(c => c.symbol === symbol);
+                if (!pick) continue;
+                for (const [horizon, hours] of Object.entries(HORIZONS)) {
+                    const dueAt = scannedAt + hours * HOUR;
+                    if (dueAt > now || now - dueAt > MAX_PENDING_AGE || done.has(`${scan.scanId}|${symbol}|${horizon}`)) continue;
+                    pending.push({ scanId: scan.scanId, scannedAt, symbol, triggers: pick.triggers, entry: pick.priceAt5am, horizon, dueAt });
+                }
+            }
+        }
+        return pending;
+    }
+
+    const outcomesFor = (horizon, since = 0) => readOutcomes()
+        .filter(o => o.horizon === horizon && Date.parse(o.scanId) >= since);
+
+    /**
+     * Share of picks that closed higher after `horizon`, over the last `days`.
+     */
+    function rollingWinRate({ horizon = '24h', days = 30, target = 10, now = Date.now() } = {}) {
+        const outcomes = outcomesFor(horizon, now - days * 24 * HOUR);
+        return { horizon, days, ...stats(outcomes, target) };
+    }
+
+    function performanceBy(key, { horizon = '24h', target = 10 } = {}) {
+        const groups = {};
+        for (const outcome of outcomesFor(horizon)) {
+            const keys = key === 'trigger' ? outcome.triggers || [] : [outcome.symbol];
+            keys.forEach(k => (groups[k] = groups[k] || []).push(outcome));
+        }
+        return Object.entries(groups)
+            .map(([name, outcomes]) => ({ [key]: name, ...stats(outcomes, target) }))
+            .sort((a, b) => b.picks - a.picks);
+    }
+
+    return {
+        appendScan,
+        readScans,
+        latestScan,
+        appendOutcome,
+        readOutcomes,
+        appendAlert,
+        readAlerts,
+        pendingOutcomes,
+        rollingWinRate,
+        performanceByTrigger: (opts) => performanceBy('trigger', opts),
+        performanceBySymbol: (opts) => performanceBy('symbol', opts)
+    };
+}
+
+/**
+ * Pick count, win rate, share reaching `target` % and average return of outcomes ({ change })
+ */
+function stats(outcomes, target) {
+    const changes = outcomes.map(o => o.change);
+    return {
+        picks: outcomes.length,
+        winRate: outcomes.length ? (changes.filter(c => c > 0).length / outcomes.length) * 100 : 0,
+        hitRate: outcomes.length ? (changes.filter(c => c >= target).length / outcomes.length) * 100 : 0,
+        avgReturn: outcomes.length ? changes.reduce((a, b) => a + b, 0) / outcomes.length : 0
+    };
+}
+
+/**
+ * Measures every pending outcome from hourly candles: the price at a horizon
+ * is the close of the last bar that finished before it was due.
+ */
+async function recordOutcomes(store, exchange, now = Date.now()) {
+    const pending = store.pendingOutcomes(now);
+    const bySymbolScan = {};
+    pending.forEach(p => (bySymbolScan[`${p.scanId}|${p.symbol}`] = bySymbolScan[`${p.scanId}|${p.symbol}`] || []).push(p));
+
+    let recorded = 0;
+    for (const group of Object.values(bySymbolScan)) {
+        const { symbol, scannedAt } = group[0];
+        try {
+            const candles = await exchange.fetchOHLCV(symbol, '1h', scannedAt - HOUR, 200);
+            for (const p of group) {
+                const closed = candles.filter(c => c[0] + HOUR <= p.dueAt && c[0] + HOUR > scannedAt);
+                if (closed.length === 0) continue;
+                const price = closed[closed.length - 1][4];
+                store.appendOutcome({
+                    scanId: p.scanId,
+                    symbol,
+                    horizon: p.horizon,
+                    triggers: p.triggers,
+                    entry: p.entry,
+                    price,
+                    change: ((price - p.entry) / p.entry) * 100
+                });
+                recorded++;
+            }
+        } catch (e) { console.log(`[History] Could not measure ${symbol}: ${e.message}`); }
+    }
+    return recorded;
+}
+
+module.exports = { HISTORY_DIR, HORIZONS, appendLine, readLines, readLastLine, isScheduled, createHistoryStore, recordOutcomes, stats };
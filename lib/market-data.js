@@ -0,0 +1,124 @@
+const path = require('path');
+const ccxt = require('ccxt');
+const { createMockExchange } = require('./mock-exchange');
+const { bucketForExchange, withRetry } = require('./rate-limit');
+const { CANDLE_CACHE_DIR, createCandleCache } = require('./candle-cache');
+
+/**
+ * MARKET DATA LAYER
+ * One object with the ccxt calls the bot uses (loadMarkets, fetchTickers,
+ * fetchTicker, fetchOHLCV, fetchFundingRate), backed by one or more venues.
+ *
+ * Venues are listed in priority order. Tickers are merged so a symbol
+ * listed on several venues comes from the first one, and a symbol listed
+ * on only one venue is still scanned. Per-symbol calls are routed to the
+ * venue the symbol was found on.
+ *
+ * Every call waits for a token from its venue's bucket (sized from the
+ * ccxt `rateLimit`, or `rateLimits[venue]` in ms) and is retried with
+ * backoff on 429/5xx/network errors. Latest-candle requests go through
+ * the on-disk candle cache unless `candleCache` is false; each venue
+ * caches under its own <dir>/<venue>/, as prices differ between venues.
+ *
+ * Config: { "exchanges": ["kraken", "coinbase"], "mockFixtures": "./test/fixtures/exchange",
+ *           "rateLimits": { "kraken": 1000 }, "candleCache": { "dir": "./cache/candles" } }
+ * (EXCHANGES=kraken,coinbase via lib/config.js). The venue id "mock" replays recorded fixtures.
+ */
+function createMarketData({ exchanges: ids = ['kraken'], mockFixtures, rateLimits = {}, retries = 3, candleCache = {} } = {}) {
+    const venues = ids.map(id => createVenue(id, mockFixtures, rateLimits[id]));
+    const caches = {};
+    const cacheOf = (venue) => caches[venue.id] || (caches[venue.id] = createCandleCache({
+        ...candleCache, dir: path.join(candleCache.dir || CANDLE_CACHE_DIR, venue.id)
+    }));
+    const venueOf = {};
+
+    const call = async (venue, method, ...args) => withRetry(async () => {
+        await venue.bucket.take();
+        return venue.exchange[method](...args);
+    }, { retries, label: `${venue.id}.${method}(${args[0] || ''})` });
+
+    /**
+     * Finds the venue for a symbol: the one its ticker came from, else the
+     * first venue whose markets list it.
+     */
+    async function resolve(symbol) {
+        if (venueOf[symbol]) return venueOf[symbol];
+        for (const venue of venues) {
+            const markets = await call(venue, 'loadMarkets');
+            if (markets[symbol]) return (venueOf[symbol] = venue);
+        }
+        throw new ccxt.BadSymbol(`${symbol} is not listed on ${ids.join(', ')}`);
+    }
+
+    return {
+        venues: ids,
+
+        venueOf: (symbol) => venueOf[symbol] ? venueOf[symbol].id : null,
+
+        /**
+         * Market metadata of every venue, keyed by unified symbol; the first
+         * venue listing a symbol wins, as for tickers
+         */
+        async loadMarkets() {
+            const merged = {};
+            for (const venue of venues) {
+                try {
+                    const markets = await call(venue, 'loadMarkets');
+                    for (const [symbol, meta] of Object.entries(markets)) {
+                        if (!merged[symbol]) merged[symbol] = meta;
+                    }
+                } catch (e) {
+                    console.log(`[Market] ${venue.id} markets unavailable: ${e.message}`);
+                }
+            }
+            return merged;
+        },
+
+        async fetchTickers() {
+            const merged = {};
+            for (const venue of venues) {
+                try {
+                    const tickers = await call(venue, 'fetchTickers');
+                    for (const [symbol, ticker] of Object.entries(tickers)) {
+                        if (merged[symbol]) continue;
+                        merged[symbol] = ticker;
+                        venueOf[symbol] = venue;
+                    }
+                } catch (e) {
+                    console.log(`[Market] ${venue.id} tickers unavailable: ${e.message}`);
+                }
+            }
+            if (Object.keys(merged).length === 0) throw new Error(`No tickers from any venue (${ids.join(', ')})`);
+            return merged;
+        },
+
+        async fetchTicker(symbol) {
+            return call(await resolve(symbol), 'fetchTicker', symbol);
+        },
+
+        async fetchOHLCV(symbol, timeframe, since, limit) {
+            const venue = await resolve(symbol);
+            // Fixtures are already on disk, so the mock venue skips the cache
+            if (candleCache === false || venue.id === 'mock' || since !== undefined || !limit) return call(venue, 'fetchOHLCV', symbol, timeframe, since, limit);
+            return cacheOf(venue).get(symbol, timeframe, limit, (from, count) => call(venue, 'fetchOHLCV', symbol, timeframe, from, count));
+        },
+
+        async fetchFundingRate(symbol) {
+            const venue = await resolve(symbol);
+            // Spot-only venues would just throw locally; don't spend a token on it
+            if (!venue.exchange.has.fetchFundingRate) throw new ccxt.NotSupported(`${venue.id} has no funding rates`);
+            return call(venue, 'fetchFundingRate', symbol);
+        }
+    };
+}
+
+function createVenue(id, mockFixtures, rateLimitMs) {
+    let exchange;
+    if (id === 'mock') exchange = createMockExchange(mockFixtures);
+    else if (ccxt[id]) exchange = new ccxt[id]({ 'enableRateLimit': false }); // throttled by our own bucket
+    else throw new Error(`Unknown exchange in config: ${id}`);
+
+    return { id, exchange, bucket: bucketForExchange(exchange, rateLimitMs) };
+}
+
+module.exports = { createMarketData };
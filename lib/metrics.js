@@ -0,0 +1,46 @@
+/**
+ * PROMETHEUS METRICS
+ * Minimal in-process registry rendered in the text exposition format.
+ * Only counters and gauges; every series is keyed by its label set.
+ */
+function createMetrics(prefix = 'dailymovers') {
+    const families = {};
+
+    const define = (name, type, help) => {
+        families[name] = families[name] || { type, help, series: {} };
+        return families[name];
+    };
+
+    const labelKey = (labels = {}) => Object.keys(labels).sort()
+        .map(k => `${k}="${String(labels[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+        .join(',');
+
+    return {
+        counter(name, help) {
+            const family = define(`${prefix}_${name}`, 'counter', help);
+            return {
+                inc(labels, by = 1) {
+                    const key = labelKey(labels);
+                    family.series[key] = (family.series[key] || 0) + by;
+                }
+            };
+        },
+
+        gauge(name, help) {
+            const family = define(`${prefix}_${name}`, 'gauge', help);
+            return {
+                set(value, labels) { family.series[labelKey(labels)] = value; }
+            };
+        },
+
+        render() {
+            return Object.entries(families).map(([name, family]) => [
+                `# HELP ${name} ${family.help}`,
+                `# TYPE ${name} ${family.type}`,
+                ...Object.entries(family.series).map(([key, value]) => `${name}${key ? `{${key}}` : ''} ${value}`)
+            ].join('\n')).join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const { appendLine, readLines } = require('./history');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const DEFAULT_PAPER = {
+    enabled: true,
+    startingCash: 10000,
+    // "equal": positionPct of equity per pick | "risk": riskPct of equity lost at the plan's stop
+    sizing: 'equal',
+    positionPct: 0.2,
+    riskPct: 0.01,
+    // Per fill, as a share of the notional (Kraken taker fee) and of the price
+    fee: 0.0026,
+    slippage: 0.001,
+    // Exits: close after maxHoldHours, at the plan's stop, or at take-profit #target (0 = none)
+    maxHoldHours: 24,
+    stop: true,
+    target: 1
+};
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * PAPER TRADING
+ * Simulates following the bot: every saved scan's picks are bought at the
+ * open of the first hourly bar after the scan, with slippage and fees, and
+ * sold at the plan's stop, its take-profit or after `maxHoldHours`,
+ * whichever comes first. As in evaluateTradePlan, a bar that spans both
+ * the stop and the target is counted as a stop.
+ *
+ * Stored under `dir`:
+ *   portfolio.json  cash and the pending/open positions (rewritten)
+ *   trades.jsonl    one line per closed trade
+ *   equity.jsonl    one mark-to-market line per update; the last of each
+ *                   UTC day is that day's close
+ *
+ * Only closed hourly bars are used, so update() can run at any time and
+ * simply catches up.
+ */
+function createPaperTrader({ market, dir, settings = {} }) {
+    const s = { ...DEFAULT_PAPER, ...settings };
+    const portfolioFile = path.join(dir, 'portfolio.json');
+    const tradesFile = path.join(dir, 'trades.jsonl');
+    const equityFile = path.join(dir, 'equity.jsonl');
+
+    const load = () => fs.existsSync(portfolioFile)
+        ? JSON.parse(fs.readFileSync(portfolioFile))
+        : { cash: s.startingCash, positions: [] };
+    const save = (portfolio) => {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(portfolioFile, JSON.stringify({ ...portfolio, updatedAt: new Date().toISOString() }, null, 2));
+    };
+
+    const readTrades = () => readLines(tradesFile);
+    // One snapshot per UTC day, the latest update up to `until` winning
+    const readEquity = (until = Infinity) => Object.values(readLines(equityFile)
+        .filter(e => Date.parse(e.at) <= until)
+        .reduce((days, e) => ({ ...days, [e.at.slice(0, 10)]: e }), {}));
+    const equityOf = ({ cash, positions }) => cash + positions
+        .filter(p => p.status === 'open')
+        .reduce((sum, p) => sum + p.units * (p.lastPrice || p.entry), 0);
+
+    /**
+     * Queues buy orders for a scan's picks. Symbols already held and picks
+     * of a scan that was already traded are skipped.
+     */
+    function open(picks, { scanId, scannedAt = scanId }) {
+        const portfolio = load();
+        const traded = new Set([...portfolio.positions, ...readTrades()].map(p => `${p.scanId}|${p.symbol}`));
+        const held = new Set(portfolio.positions.map(p => p.symbol));
+
+        const orders = picks.filter(p => !held.has(p.symbol) && !traded.has(`${scanId}|${p.symbol}`)).map(p => ({
+            symbol: p.symbol,
+            scanId,
+            signalAt: new Date(scannedAt).toISOString(),
+            status: 'pending',
+            stop: s.stop && p.plan ? p.plan.stop : null,
+            target: s.target > 0 && p.plan ? p.plan.takeProfits[Math.min(s.target, p.plan.takeProfits.length) - 1] : null
+        }));
+        portfolio.positions.push(...orders);
+        save(portfolio);
+        console.log(`[Paper] Queued ${orders.length} buy order(s) for the next bar open${orders.length < picks.length ? ` (${picks.length - orders.length} already held or traded)` : ''}.`);
+        return orders;
+    }
+
+    function fill(position, bar, portfolio, equity) {
+        const price = bar[1] * (1 + s.slippage);
+        const stopDistance = position.stop !== null ? price - position.stop : null;
+        if (stopDistance !== null && stopDistance <= 0) return `opened below its stop (${position.stop})`;
+        if (position.target !== null && price >= position.target) return `opened above its target (${position.target})`;
+
+        let notional = equity * s.positionPct;
+        if (s.sizing === 'risk' && stopDistance !== null) notional = Math.min((equity * s.riskPct / stopDistance) * price, notional);
+        notional = Math.min(notional, portfolio.cash / (1 + s.fee));
+        if (notional < 1) return 'no cash left';
+
+        const fee = notional * s.fee;
+        portfolio.cash -= notional + fee;
+        Object.assign(position, {
+            status: 'open',
+            entry: price,
+            entryAt: new Date(bar[0]).toISOString(),
+            units: notional / price,
+            cost: notional,
+            fees: fee,
+            lastPrice: price
+        });
+        console.log(`[Paper] Bought ${position.symbol} @ ${price.toPrecision(6)} for ${round(notional)} (fee ${round(fee)})`);
+        return null;
+    }
+
+    // Exit price and reason if the bar closes the position, stop first
+    function exitFor(position, [ts, barOpen, high, low, close]) {
+        if (position.stop !== null && low <= position.stop) return { price: Math.min(barOpen, position.stop), reason: 'stop' };
+        if (position.target !== null && high >= position.target) return { price: Math.max(barOpen, position.target), reason: 'target' };
+        if (ts + HOUR >= Date.parse(position.entryAt) + s.maxHoldHours * HOUR) return { price: close, reason: 'time' };
+        return null;
+    }
+
+    function close(position, bar, { price, reason }, portfolio) {
+        const exit = price * (1 - s.slippage);
+        const proceeds = position.units * exit;
+        const fee = proceeds * s.fee;
+        portfolio.cash += proceeds - fee;
+
+        const fees = position.fees + fee;
+        const trade = {
+            symbol: position.symbol,
+            scanId: position.scanId,
+            entryAt: position.entryAt,
+            entry: position.entry,
+            exitAt: new Date(bar[0] + HOUR).toISOString(),
+            exit,
+            reason,
+            units: position.units,
+            cost: position.cost,
+            proceeds,
+            fees,
+            pnl: proceeds - fee - position.cost - position.fees,
+            returnPct: ((proceeds - fee) / (position.cost + position.fees) - 1) * 100
+        };
+        appendLine(tradesFile, trade);
+        console.log(`[Paper] Sold ${trade.symbol} @ ${exit.toPrecision(6)} (${reason}) | P&L ${round(trade.pnl)} (${trade.returnPct.toFixed(2)}%)`);
+        return trade;
+    }
+
+    /**
+     * Fills pending orders and runs the exit rules over every hourly bar
+     * closed since the last update, then records the current equity.
+     */
+    async function update(now = Date.now()) {
+        const portfolio = load();
+        const equity = equityOf(portfolio);
+        const closed = [];
+
+        for (const position of portfolio.positions) {
+            const since = position.checkedUntil || Date.parse(position.signalAt);
+            let candles;
+            try {
+                candles = (await market.fetchOHLCV(position.symbol, '1h', since, 200)).filter(c => c[0] >= since && c[0] + HOUR <= now);
+            } catch (e) {
+                console.log(`[Paper] Could not update ${position.symbol}: ${e.message}`);
+                continue;
+            }
+
+            for (const bar of candles) {
+                if (position.status === 'pending') {
+                    const skipped = fill(position, bar, portfolio, equity);
+                    if (skipped) {
+                        console.log(`[Paper] Skipped ${position.symbol}: ${skipped}.`);
+                        position.status = 'cancelled';
+                        break;
+                    }
+                }
+                position.checkedUntil = bar[0] + HOUR;
+                position.lastPrice = bar[4];
+                const exit = exitFor(position, bar);
+                if (exit) {
+                    closed.push(close(position, bar, exit, portfolio));
+                    position.status = 'closed';
+                    break;
+                }
+            }
+
+            // The market stopped trading or was delisted before the order could fill
+            if (position.status === 'pending' && now - Date.parse(position.signalAt) > s.maxHoldHours * HOUR) {
+                console.log(`[Paper] Cancelled ${position.symbol}: no bar within ${s.maxHoldHours}h of the signal.`);
+                position.status = 'cancelled';
+            }
+        }
+
+        portfolio.positions = portfolio.positions.filter(p => p.status === 'pending' || p.status === 'open');
+        save(portfolio);
+
+        const snapshot = {
+            at: new Date(now).toISOString(),
+            equity: equityOf(portfolio),
+            cash: portfolio.cash,
+            open: portfolio.positions.filter(p => p.status === 'open').length
+        };
+        appendLine(equityFile, snapshot);
+        return { closed, ...snapshot };
+    }
+
+    /**
+     * Portfolio statistics up to `until`: return, max and current drawdown,
+     * annualized Sharpe of the daily equity, turnover (traded notional over
+     * average equity), win rate and fees.
+     */
+    function summary(until = Date.now()) {
+        const portfolio = load();
+        const curve = readEquity(until);
+        const trades = readTrades().filter(t => Date.parse(t.exitAt) <= until);
+        const equity = curve.length ? curve[curve.length - 1].equity : s.startingCash;
+
+        let peak = s.startingCash;
+        let maxDrawdown = 0;
+        for (const { equity: value } of curve) {
+            peak = Math.max(peak, value);
+            maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+        }
+
+        const returns = curve.slice(1).map((e, i) => e.equity / curve[i].equity - 1);
+        const mean = returns.reduce((a, b) => a + b, 0) / (returns.length || 1);
+        const sd = Math.sqrt(returns.reduce((a, r) => a + (r - mean) ** 2, 0) / ((returns.length - 1) || 1));
+        const sharpe = returns.length >= 2 && sd > 0 ? (mean / sd) * Math.sqrt(365) : null;
+
+        const held = portfolio.positions.filter(p => p.status === 'open' && Date.parse(p.entryAt) <= until);
+        const traded = trades.reduce((sum, t) => sum + t.cost + t.proceeds, 0) + held.reduce((sum, p) => sum + p.cost, 0);
+        const avgEquity = curve.length ? curve.reduce((a, e) => a + e.equity, 0) / curve.length : s.startingCash;
+        const days = curve.length ? Math.max(1, (Date.parse(curve[curve.length - 1].at) - Date.parse(curve[0].at)) / DAY) : 0;
+
+        return {
+            startingCash: s.startingCash,
+            equity: round(equity),
+            returnPct: round((equity / s.startingCash - 1) * 100),
+            maxDrawdownPct: round(maxDrawdown * 100),
+            drawdownPct: round(curve.length ? (1 - equity / peak) * 100 : 0),
+            sharpe: sharpe === null ? null : round(sharpe),
+            turnover: round(traded / 2 / avgEquity),
+            days: round(days, 1),
+            trades: trades.length,
+            winRate: trades.length ? round((trades.filter(t => t.pnl > 0).length / trades.length) * 100, 1) : 0,
+            fees: round(trades.reduce((sum, t) => sum + t.fees, 0) + held.reduce((sum, p) => sum + p.fees, 0)),
+            open: held.map(p => ({ symbol: p.symbol, entry: p.entry, lastPrice: p.lastPrice, changePct: round((p.lastPrice / p.entry - 1) * 100) }))
+        };
+    }
+
+    return { open, update, summary, readTrades, readEquity, settings: s };
+}
+
+module.exports = { DEFAULT_PAPER, createPaperTrader };
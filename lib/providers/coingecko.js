@@ -0,0 +1,37 @@
+const axios = require('axios');
+const { createProvider } = require('./provider');
+
+/**
+ * CoinGecko market-cap ranking: `pages` x 250 coins as { id, symbol, name },
+ * largest first. A failed page fails the whole list so a partial ranking
+ * never replaces a complete one in the cache, and each page count has its
+ * own cache file.
+ */
+function createCoinGeckoProvider({ url = 'https://api.coingecko.com/api/v3/coins/markets', pages = 4, ttl = 60 * 60 * 1000, ...options } = {}) {
+    return createProvider({
+        name: 'coingecko',
+        cacheKey: `coingecko-${pages}p`,
+        ttl,
+        fallback: [],
+        ...options,
+        fetch: async ({ timeout }) => {
+            const coins = [];
+            for (let page = 1; page <= pages; page++) {
+                const res = await axios.get(url, {
+                    timeout,
+                    params: {
+                        vs_currency: 'usd',
+                        order: 'market_cap_desc',
+                        per_page: 250,
+                        page: page,
+                        sparkline: false
+                    }
+                });
+                coins.push(...res.data.map(({ id, symbol, name }) => ({ id, symbol, name })));
+            }
+            return coins;
+        }
+    });
+}
+
+module.exports = { createCoinGeckoProvider };
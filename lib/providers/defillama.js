@@ -0,0 +1,21 @@
+const axios = require('axios');
+const { createProvider } = require('./provider');
+
+/**
+ * DefiLlama stablecoins: lower-case symbols of every pegged asset,
+ * used to keep stablecoins out of the scan universe.
+ */
+function createDefiLlamaProvider({ url = 'https://stablecoins.llama.fi/stablecoins', ttl = 24 * 60 * 60 * 1000, ...options } = {}) {
+    return createProvider({
+        name: 'defillama',
+        ttl,
+        fallback: [],
+        ...options,
+        fetch: async ({ timeout }) => {
+            const res = await axios.get(url, { timeout });
+            return res.data.peggedAssets.map(s => s.symbol.toLowerCase());
+        }
+    });
+}
+
+module.exports = { createDefiLlamaProvider };
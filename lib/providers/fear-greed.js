@@ -0,0 +1,23 @@
+const axios = require('axios');
+const { createProvider } = require('./provider');
+
+/**
+ * alternative.me Fear & Greed Index: { value, classification, timestamp }.
+ * The fallback is null, which leaves the sentiment strategy and the
+ * regime's sentiment vote out instead of aborting the scan.
+ */
+function createFearGreedProvider({ url = 'https://api.alternative.me/fng/', ttl = 60 * 60 * 1000, ...options } = {}) {
+    return createProvider({
+        name: 'fear-greed',
+        ttl,
+        fallback: null,
+        ...options,
+        fetch: async ({ timeout }) => {
+            const res = await axios.get(url, { timeout });
+            const latest = res.data.data[0];
+            return { value: parseInt(latest.value), classification: latest.value_classification, timestamp: latest.timestamp };
+        }
+    });
+}
+
+module.exports = { createFearGreedProvider };
@@ -0,0 +1,27 @@
+const { createDefiLlamaProvider } = require('./defillama');
+const { createCoinGeckoProvider } = require('./coingecko');
+const { createFearGreedProvider } = require('./fear-greed');
+const { createLunarCrushProvider } = require('./lunarcrush');
+const { createWhaleAlertProvider } = require('./whale-alert');
+
+/**
+ * EXTERNAL DATA SOURCES
+ * One provider per source, sharing the timeout/retry/cache settings of the
+ * "sources" config section; each source can override its url and ttl (ms):
+ *   { "timeout": 10000, "retries": 2, "cacheDir": "./cache/sources",
+ *     "fearGreed": { "url": "http://127.0.0.1:8099/fng/", "ttl": 3600000 },
+ *     "whaleAlert": { "minValue": 500000 } }
+ * API keys come from .env, not the config file.
+ */
+function createProviders({ timeout, retries, retryDelay, cacheDir, defillama = {}, coingecko = {}, fearGreed = {}, lunarcrush = {}, whaleAlert = {} } = {}, { pages, lunarcrushKey, whaleAlertKey } = {}) {
+    const shared = Object.fromEntries(Object.entries({ timeout, retries, retryDelay, cacheDir }).filter(([, v]) => v !== undefined));
+    return {
+        defillama: createDefiLlamaProvider({ ...shared, ...defillama }),
+        coingecko: createCoinGeckoProvider({ ...shared, pages, ...coingecko }),
+        fearGreed: createFearGreedProvider({ ...shared, ...fearGreed }),
+        lunarcrush: createLunarCrushProvider({ ...shared, apiKey: lunarcrushKey, ...lunarcrush }),
+        whaleAlert: createWhaleAlertProvider({ ...shared, apiKey: whaleAlertKey, ...whaleAlert })
+    };
+}
+
+module.exports = { createProviders };
@@ -0,0 +1,22 @@
+const axios = require('axios');
+const { createProvider } = require('./provider');
+
+/**
+ * LunarCrush coin list keyed by upper-case symbol (galaxy_score, alt_rank, ...).
+ */
+function createLunarCrushProvider({ url = 'https://lunarcrush.com/api4/public/coins/list/v1', apiKey, ttl = 60 * 60 * 1000, ...options } = {}) {
+    return createProvider({
+        name: 'lunarcrush',
+        ttl,
+        fallback: {},
+        ...options,
+        fetch: async ({ timeout }) => {
+            const res = await axios.get(url, { timeout, headers: { 'Authorization': `Bearer ${apiKey}` } });
+            const socialData = {};
+            res.data.data.forEach(coin => socialData[coin.symbol] = coin);
+            return socialData;
+        }
+    });
+}
+
+module.exports = { createLunarCrushProvider };
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const { withRetry } = require('../rate-limit');
+
+const SOURCE_CACHE_DIR = './cache/sources';
+
+/**
+ * DATA PROVIDER
+ * Wraps one external source with a timeout, retries, an on-disk TTL cache
+ * (<cacheDir>/<cacheKey>.json) and a last-known-good fallback. `cacheKey`
+ * defaults to the name; sources whose response depends on their options
+ * put those in it so differently configured runs don't share a cache.
+ *
+ * get() never throws. It resolves to
+ *   { name, data, status, fresh, fetchedAt, error }
+ * where status is
+ *   "cached"   cache younger than `ttl`, no request made
+ *   "live"     fetched now
+ *   "stale"    the request failed; data is the last good response
+ *   "fallback" the request failed and nothing was cached; data is `fallback`
+ * and `fresh` is false for the last two, which mark the source as degraded.
+ *
+ * `fetch({ timeout })` does the request and returns the data to cache.
+ */
+function createProvider({ name, cacheKey = name, fetch, fallback, ttl = 60 * 60 * 1000, cacheDir = SOURCE_CACHE_DIR, timeout = 10000, retries = 2, retryDelay = 1000 }) {
+    const file = path.join(cacheDir, `${cacheKey}.json`);
+
+    const readCache = () => {
+        if (!fs.existsSync(file)) return null;
+        try { return JSON.parse(fs.readFileSync(file)); } catch (e) { return null; }
+    };
+
+    async function get({ now = Date.now() } = {}) {
+        const cached = readCache();
+        if (cached && now - Date.parse(cached.fetchedAt) < ttl) {
+            return { name, data: cached.data, status: 'cached', fresh: true, fetchedAt: cached.fetchedAt, error: null };
+        }
+
+        try {
+            const data = await withRetry(() => fetch({ timeout }), { retries, baseDelay: retryDelay, label: name });
+            const fetchedAt = new Date(now).toISOString();
+            fs.mkdirSync(cacheDir, { recursive: true });
+            fs.writeFileSync(file, JSON.stringify({ fetchedAt, data }));
+            return { name, data, status: 'live', fresh: true, fetchedAt, error: null };
+        } catch (e) {
+            const error = e.response ? `HTTP ${e.response.status}` : e.message;
+            if (cached) {
+                console.log(`[Sources] ${name} unavailable (${error}), using data from ${cached.fetchedAt}.`);
+                return { name, data: cached.data, status: 'stale', fresh: false, fetchedAt: cached.fetchedAt, error };
+            }
+            console.log(`[Sources] ${name} unavailable (${error}), no cached data.`);
+            return { name, data: fallback, status: 'fallback', fresh: false, fetchedAt: null, error };
+        }
+    }
+
+    return { name, get };
+}
+
+module.exports = { SOURCE_CACHE_DIR, createProvider };
@@ -0,0 +1,20 @@
+const axios = require('axios');
+const { createProvider } = require('./provider');
+
+/**
+ * Whale Alert transfers worth at least `minValue` USD.
+ */
+function createWhaleAlertProvider({ url = 'https://api.whale-alert.io/v1/transactions', apiKey, minValue = 500000, ttl = 10 * 60 * 1000, ...options } = {}) {
+    return createProvider({
+        name: 'whale-alert',
+        ttl,
+        fallback: [],
+        ...options,
+        fetch: async ({ timeout }) => {
+            const res = await axios.get(url, { timeout, params: { min_value: minValue, api_key: apiKey } });
+            return res.data.transactions || [];
+        }
+    });
+}
+
+module.exports = { createWhaleAlertProvider };
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { baseSymbol, signed, scanDate, resultIcon, scoreText, alertText, paperSummary, digestTitle, digestLines, escapeHtml } = require('./format');
+const { renderEquityChart } = require('../chart');
+
+const planCells = (plan) => plan
+    ? [plan.stop, plan.takeProfits.join(' / '), plan.riskReward, plan.position.notional]
+    : ['', '', '', ''];
+const triggerRows = (digest) => digest.triggers.map(t => [t.trigger, t.picks, `${t.winRate.toFixed(1)}%`, signed(t.avgReturn)]);
+
+// <type>[-<period>]-<YYYY-MM-DD>.<ext>, digests keep weekly and monthly apart
+const fileName = (type, data, ext) => `${type}${data.digest ? `-${data.digest.period}` : ''}-${new Date(data.date).toISOString().slice(0, 10)}.${ext}`;
+
+const outcomeCell = (r) => r.planResult ? `${resultIcon(r)} ${r.planResult.outcome} (${r.planResult.rMultiple}R)` : '';
+
+const markdown = {
+    picks({ date, picks }) {
+        let md = `# Nightly Crypto Scan (${scanDate(date)})\n\n| # | Symbol | Score | Triggers | Stop | Take-Profits | R:R | Size |\n|---|---|---|---|---|---|---|---|\n`;
+        picks.forEach((p, i) => { md += `| ${[i + 1, baseSymbol(p.symbol), scoreText(p), p.triggers.join(', '), ...planCells(p.plan)].join(' | ')} |\n`; });
+        return md;
+    },
+    report({ date, results, trackRecord, paper }) {
+        let md = `# Daily Comparison Report (${scanDate(date)})\n\n| Symbol | Entry | Now | Change | Plan |\n|---|---|---|---|---|\n`;
+        results.forEach(r => { md += `| ${baseSymbol(r.symbol)} | ${r.priceAt5am} | ${r.price} | ${signed(r.change)} | ${outcomeCell(r)} |\n`; });
+        if (trackRecord && trackRecord.picks > 0) {
+            md += `\n30d Track Record: ${trackRecord.winRate.toFixed(1)}% green after 24h over ${trackRecord.picks} picks\n`;
+        }
+        if (paper) md += `\n${paperSummary(paper)}\n`;
+        return md;
+    },
+    alert: ({ alert }) => `- ${alert.at} ${alertText(alert)}\n`,
+    digest(data) {
+        const { digest } = data;
+        let md = `# ${digestTitle(digest)}\n\n`;
+        if (digest.equity.length > 1) md += `![Equity curve](${fileName('digest', data, 'svg')})\n\n`;
+        md += digestLines(digest).map(line => `- ${line}`).join('\n') + '\n';
+        if (digest.triggers.length) {
+            md += `\n| Trigger | Picks | Win Rate | Avg |\n|---|---|---|---|\n`;
+            triggerRows(digest).forEach(r => { md += `| ${r.join(' | ')} |\n`; });
+        }
+        return md;
+    }
+};
+
+// `chart` is inline SVG placed above the table
+const page = (title, rows, footer = '', chart = '') => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body><h1>${escapeHtml(title)}</h1>
+${chart}<table border="1" cellpadding="4">${rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('\n')}</table>
+${footer ? `<p>${escapeHtml(footer)}</p>` : ''}
+</body></html>
+`;
+
+const html = {
+    picks: ({ date, picks }) => page(
+        `Nightly Crypto Scan (${scanDate(date)})`,
+        [['#', 'Symbol', 'Score', 'Triggers', 'Stop', 'Take-Profits', 'R:R', 'Size'], ...picks.map((p, i) => [i + 1, baseSymbol(p.symbol), scoreText(p), p.triggers.join(', '), ...planCells(p.plan)])]
+    ),
+    report: ({ date, results, trackRecord, paper }) => page(
+        `Daily Comparison Report (${scanDate(date)})`,
+        [['Symbol', 'Entry', 'Now', 'Change', 'Plan'], ...results.map(r => [baseSymbol(r.symbol), r.priceAt5am, r.price, signed(r.change), outcomeCell(r)])],
+        [trackRecord && trackRecord.picks > 0 ? `30d Track Record: ${trackRecord.winRate.toFixed(1)}% green after 24h over ${trackRecord.picks} picks` : '', paper ? paperSummary(paper) : ''].filter(Boolean).join(' | ')
+    ),
+    alert: ({ alert }) => `<p>${escapeHtml(alert.at)} ${escapeHtml(alertText(alert))}</p>\n`,
+    digest: ({ digest }) => page(
+        digestTitle(digest),
+        [['Trigger', 'Picks', 'Win Rate', 'Avg'], ...triggerRows(digest)],
+        digestLines(digest).join(' | '),
+        digest.equity.length > 1 ? renderEquityChart(digest, 'svg') : ''
+    )
+};
+
+/**
+ * Writes each message to <dir>/<type>-<YYYY-MM-DD>.md (or .html).
+ * Alerts are appended to the day's file instead of replacing it; digests
+ * go to <dir>/digest-<period>-<YYYY-MM-DD>.md with the equity curve as an
+ * .svg next to it (inline in HTML).
+ */
+function createFilePublisher({ dir = './reports', format = 'markdown' }) {
+    const templates = format === 'html' ? html : markdown;
+    const ext = format === 'html' ? 'html' : 'md';
+
+    return {
+        templates,
+        render: (type, data) => templates[type](data),
+        async send(content, { type, data }) {
+            const file = path.join(dir, fileName(type, data, ext));
+            fs.mkdirSync(dir, { recursive: true });
+            if (type === 'alert') fs.appendFileSync(file, content);
+            else fs.writeFileSync(file, content);
+            if (type === 'digest' && format !== 'html' && data.digest.equity.length > 1) {
+                fs.writeFileSync(path.join(dir, fileName(type, data, 'svg')), renderEquityChart(data.digest, 'svg'));
+            }
+            console.log(`[Publish] Wrote ${file}`);
+        }
+    };
+}
+
+module.exports = { createFilePublisher, markdown, html };
@@ -0,0 +1,44 @@
+/**
+ * Small helpers shared by the publisher templates.
+ */
+const baseSymbol = (symbol) => symbol.split('/')[0];
+
+const signed = (change) => `${change > 0 ? '+' : ''}${change.toFixed(2)}%`;
+
+const scanDate = (date) => new Date(date).toLocaleString('en-US', { timeZone: 'America/New_York', month: 'short', day: 'numeric' });
+
+// Icon for a report line: plan outcome when known, else the direction of the move
+const resultIcon = (r) => r.planResult && r.planResult.outcome === 'target' ? '🎯'
+    : r.planResult && r.planResult.outcome === 'stop' ? '🛑'
+    : r.change >= 0 ? '✅' : '🔻';
+
+// Public score of a pick: the weighted points of the strategies that fired.
+// The normalized score only orders the scan and can go negative.
+const scoreText = (p) => `${p.rawScore !== undefined ? p.rawScore : p.score}`;
+
+const planSummary = (plan) => plan ? `Stop ${plan.stop} | TP ${plan.takeProfits.join(' / ')} | R:R ${plan.riskReward}` : '';
+
+const price = (value) => Number(value.toPrecision(6));
+
+// One-line description of an intraday alert (lib/alerts.js)
+const alertText = (a) => a.type === 'gain' ? `🚀 $${baseSymbol(a.symbol)} is up ${signed(a.change)} since the scan (${price(a.entry)} -> ${price(a.price)})`
+    : a.type === 'drop' ? `⚠️ $${baseSymbol(a.symbol)} broke ${a.level}% below its scan price (${price(a.entry)} -> ${price(a.price)}, ${signed(a.change)})`
+    : `🆕 $${baseSymbol(a.symbol)} jumped into the top picks at #${a.level} (Score ${scoreText(a)}) @ ${price(a.price)}`;
+
+// Paper portfolio line for the report (lib/paper-trading.js)
+const paperSummary = (p) => `Paper portfolio: ${signed(p.returnPct)} | Max DD ${p.maxDrawdownPct.toFixed(1)}% | Sharpe ${p.sharpe === null ? 'n/a' : p.sharpe.toFixed(2)} | ${p.trades} trades`;
+
+// Title and summary lines of a performance digest (lib/digest.js)
+const digestTitle = (d) => `${d.period === 'monthly' ? 'Monthly' : 'Weekly'} Performance Digest (${scanDate(d.from)} - ${scanDate(d.until)})`;
+const callText = (c) => `$${baseSymbol(c.symbol)} ${signed(c.change)} (${scanDate(c.scannedAt)})`;
+const digestLines = (d) => d.picks === 0 ? ['No measured picks in this period yet.'] : [
+    `Following the picks: ${signed(d.returnPct)} vs holding ${baseSymbol(d.benchmark.symbol)}: ${d.benchmark.returnPct === null ? 'n/a' : signed(d.benchmark.returnPct)}`,
+    `Win rate: ${d.winRate.toFixed(0)}% of ${d.picks} picks green after ${d.horizon}`,
+    ...(d.best.length ? [`🏆 Best: ${d.best.map(callText).join(', ')}`] : []),
+    ...(d.worst.length ? [`💀 Worst: ${d.worst.map(callText).join(', ')}`] : []),
+    ...(d.triggers.length ? [`Triggers: ${d.triggers.slice(0, 3).map(t => `${t.trigger} ${t.winRate.toFixed(0)}% (${t.picks})`).join(', ')}`] : [])
+];
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+module.exports = { baseSymbol, signed, scanDate, resultIcon, scoreText, planSummary, alertText, paperSummary, digestTitle, digestLines, escapeHtml };
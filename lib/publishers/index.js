@@ -0,0 +1,91 @@
+const { createXPublisher } = require('./x');
+const { createWebhookPublisher } = require('./webhook');
+const { createFilePublisher } = require('./file');
+const { createStdoutPublisher } = require('./stdout');
+
+const FACTORIES = {
+    x: createXPublisher,
+    webhook: createWebhookPublisher,
+    file: createFilePublisher,
+    stdout: createStdoutPublisher
+};
+
+// Without a "publishers" config section the bot behaves as before: everything goes to X
+const DEFAULTS = {
+    picks: ['x'],
+    report: ['x'],
+    alert: ['x'],
+    digest: ['x'],
+    backends: { x: { type: 'x' } }
+};
+
+/**
+ * PUBLISHER
+ * Routes the nightly picks, the EOD report, intraday alerts and the weekly/monthly digests to the configured backends.
+ * Every backend exposes render(type, data) -> payload, send(payload, message) and
+ * optionally preview(payload) for dry-run output; message types are "picks" ({ date, picks }), "report" ({ date, results, trackRecord, paper }),
+ * "alert" ({ date, alert }, see lib/alerts.js) and "digest" ({ date, digest }, see lib/digest.js).
+ *
+ * Config ("publishers" section):
+ *   {
+ *     "dryRun": false,
+ *     "picks": ["x", "discord"],
+ *     "report": ["x", "file"],
+ *     "alert": ["discord"],
+ *     "digest": ["x", "file"],
+ *     "backends": {
+ *       "x": { "type": "x" },
+ *       "discord": { "type": "webhook", "flavor": "discord", "url": "https://discord.com/api/webhooks/..." },
+ *       "file": { "type": "file", "format": "markdown", "dir": "./reports" }
+ *     }
+ *   }
+ * Dry-run (config, or PUBLISH_DRY_RUN=1 via lib/config.js) renders every message and logs it without sending.
+ */
+function createPublisher(config = {}, deps = {}) {
+    const settings = { ...DEFAULTS, ...config };
+    const dryRun = Boolean(settings.dryRun);
+    const backends = {};
+
+    for (const [name, options] of Object.entries(settings.backends || {})) {
+        const factory = FACTORIES[options.type];
+        if (!factory) throw new Error(`Unknown publisher type for "${name}": ${options.type}`);
+        backends[name] = factory(options, deps);
+    }
+
+    /**
+     * Renders and sends one message to every backend routed for its type.
+     * A failing backend is logged and does not stop the others.
+     */
+    async function publish(type, data) {
+        const message = { type, data: { date: new Date(), ...data } };
+        const results = [];
+
+        for (const name of settings[type] || []) {
+            const backend = backends[name];
+            if (!backend) {
+                console.log(`[Publish] No backend named "${name}" configured, skipping.`);
+                continue;
+            }
+            try {
+                const payload = backend.render(type, message.data);
+                if (dryRun) {
+                    const preview = backend.preview ? backend.preview(payload)
+                        : typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2);
+                    console.log(`[Publish][dry-run] ${name} (${type}):\n${preview}`);
+                } else {
+                    await backend.send(payload, message);
+                    console.log(`✅ ${type} published to ${name}`);
+                }
+                results.push({ backend: name, ok: true, payload });
+            } catch (error) {
+                console.error(`❌ Failed to publish ${type} to ${name}:`, error.data?.detail || error.message);
+                results.push({ backend: name, ok: false, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    return { publish, backends, dryRun };
+}
+
+module.exports = { createPublisher, FACTORIES };
@@ -0,0 +1,16 @@
+const { templates: xTemplates } = require('./x');
+
+/**
+ * Prints messages to the console, using the X wording.
+ */
+function createStdoutPublisher() {
+    return {
+        templates: xTemplates,
+        render: (type, data) => xTemplates[type](data).map(t => t.text).join('\n\n'),
+        async send(text) {
+            console.log(text);
+        }
+    };
+}
+
+module.exports = { createStdoutPublisher };
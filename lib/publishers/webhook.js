@@ -0,0 +1,65 @@
+const axios = require('axios');
+const { baseSymbol, signed, scanDate, resultIcon, scoreText, planSummary, alertText, paperSummary, digestTitle, digestLines } = require('./format');
+
+const picksLines = (picks) => picks.map((p, i) => `${i + 1}. ${baseSymbol(p.symbol)} (Score ${scoreText(p)}) - ${p.triggers.join(', ') || 'No triggers'}${p.plan ? `\n    ${planSummary(p.plan)}` : ''}`);
+const reportLines = (results) => results.map(r => `${resultIcon(r)} ${baseSymbol(r.symbol)}: ${signed(r.change)}${r.planResult ? ` (${r.planResult.outcome}, ${r.planResult.rMultiple}R)` : ''}`);
+const trackLine = (trackRecord) => trackRecord && trackRecord.picks > 0
+    ? [`30d Track Record: ${trackRecord.winRate.toFixed(0)}% green after 24h (${trackRecord.picks} picks)`]
+    : [];
+const paperLine = (paper) => paper ? [paperSummary(paper)] : [];
+
+/**
+ * Payload shapes for the chat services that accept incoming JSON webhooks.
+ */
+const flavors = {
+    discord: {
+        picks: ({ date, picks }) => ({
+            embeds: [{ title: `Nightly Crypto Scan (${scanDate(date)})`, description: picksLines(picks).join('\n'), color: 0x2ecc71 }]
+        }),
+        report: ({ date, results, trackRecord, paper }) => ({
+            embeds: [{ title: `Daily Comparison Report (${scanDate(date)})`, description: [...reportLines(results), ...trackLine(trackRecord), ...paperLine(paper)].join('\n'), color: 0x3498db }]
+        }),
+        alert: ({ alert }) => ({ content: alertText(alert) }),
+        digest: ({ digest }) => ({
+            embeds: [{ title: digestTitle(digest), description: digestLines(digest).join('\n'), color: 0x9b59b6 }]
+        })
+    },
+    slack: {
+        picks: ({ date, picks }) => ({ text: `*Nightly Crypto Scan (${scanDate(date)})*\n${picksLines(picks).join('\n')}` }),
+        report: ({ date, results, trackRecord, paper }) => ({ text: `*Daily Comparison Report (${scanDate(date)})*\n${[...reportLines(results), ...trackLine(trackRecord), ...paperLine(paper)].join('\n')}` }),
+        alert: ({ alert }) => ({ text: alertText(alert) }),
+        digest: ({ digest }) => ({ text: `*${digestTitle(digest)}*\n${digestLines(digest).join('\n')}` })
+    },
+    telegram: {
+        picks: ({ date, picks }, { chatId }) => ({ chat_id: chatId, text: `Nightly Crypto Scan (${scanDate(date)})\n\n${picksLines(picks).join('\n')}` }),
+        report: ({ date, results, trackRecord, paper }, { chatId }) => ({ chat_id: chatId, text: `Daily Comparison Report (${scanDate(date)})\n\n${[...reportLines(results), ...trackLine(trackRecord), ...paperLine(paper)].join('\n')}` }),
+        alert: ({ alert }, { chatId }) => ({ chat_id: chatId, text: alertText(alert) }),
+        digest: ({ digest }, { chatId }) => ({ chat_id: chatId, text: `${digestTitle(digest)}\n\n${digestLines(digest).join('\n')}` })
+    },
+    json: {
+        picks: (data) => ({ type: 'picks', ...data }),
+        report: (data) => ({ type: 'report', ...data }),
+        alert: (data) => ({ type: 'alert', ...data }),
+        digest: (data) => ({ type: 'digest', ...data })
+    }
+};
+
+/**
+ * POSTs a JSON payload to `url`. `flavor` picks the payload shape:
+ * discord, slack, telegram (needs `chatId`) or json (raw message data).
+ */
+function createWebhookPublisher({ url, flavor = 'json', chatId, timeout = 10000 }) {
+    const templates = flavors[flavor];
+    if (!templates) throw new Error(`Unknown webhook flavor: ${flavor}`);
+    if (!url) throw new Error(`Webhook (${flavor}) is missing a url`);
+
+    return {
+        templates,
+        render: (type, data) => templates[type](data, { chatId }),
+        async send(payload) {
+            await axios.post(url, payload, { timeout });
+        }
+    };
+}
+
+module.exports = { createWebhookPublisher, flavors };
@@ -0,0 +1,91 @@
+const { baseSymbol, signed, scanDate, resultIcon, alertText, paperSummary, digestTitle, digestLines } = require('./format');
+const { composePicksThread, splitIntoTweets, weightedLength } = require('../tweet-composer');
+const { renderPickChart, renderEquityChart } = require('../chart');
+
+const templates = {
+    picks: ({ date, picks }, { rationale = false } = {}) =>
+        composePicksThread({ title: `Nightly Crypto Scan (${scanDate(date)})`, picks }, { rationale }),
+
+    report({ results, trackRecord, paper }) {
+        let text = `📊 Daily Comparison Report 📊\n\n`;
+        results.forEach(r => {
+            text += `${resultIcon(r)} #${baseSymbol(r.symbol)}: ${signed(r.change)}\n`;
+        });
+        if (trackRecord && trackRecord.picks > 0) {
+            text += `\n30d Track Record: ${trackRecord.winRate.toFixed(0)}% green after 24h (${trackRecord.picks} picks)\n`;
+        }
+        if (paper) text += `\n${paperSummary(paper)}\n`;
+        text += "\n#PerformanceReview #CryptoResults";
+        return splitIntoTweets(text).map(t => ({ text: t }));
+    },
+
+    alert: ({ alert }) => splitIntoTweets(`${alertText(alert)}\n\n#CryptoAlerts`).map(t => ({ text: t })),
+
+    digest: ({ digest }) => splitIntoTweets(`📅 ${digestTitle(digest)} 📅\n\n${digestLines(digest).join('\n')}\n\n#CryptoDigest #TrackRecord`).map(t => ({ text: t }))
+};
+
+/**
+ * Posts to X through an authenticated twitter-api-v2 client. Long content
+ * becomes a reply thread; when the picks carry `charts` ({ [symbol]: { hourly, markers } })
+ * each coin's rationale reply gets its 1h chart attached, and a digest's
+ * first tweet gets its equity curve. Set `charts: false` in the backend
+ * options to post text only.
+ */
+function createXPublisher({ charts = true } = {}, { twitterClient } = {}) {
+    function render(type, data) {
+        if (type === 'digest') {
+            const tweets = templates.digest(data);
+            if (!charts || data.digest.equity.length < 2) return { tweets };
+            const media = [{ name: `digest-${data.digest.period}.png`, png: renderEquityChart(data.digest) }];
+            return { tweets: tweets.map((t, i) => i === 0 ? { ...t, media } : t) };
+        }
+
+        const withCharts = type === 'picks' && charts && data.charts;
+        const tweets = templates[type](data, { rationale: Boolean(withCharts) });
+        if (!withCharts) return { tweets };
+
+        return {
+            tweets: tweets.map(t => {
+                const pick = t.pick !== undefined && t.part === 0 ? data.picks[t.pick] : null;
+                const chart = pick && data.charts[pick.symbol];
+                if (!chart) return t;
+                return { ...t, media: [{ name: `${baseSymbol(pick.symbol)}-1h.png`, png: renderPickChart(chart.hourly, chart.markers) }] };
+            })
+        };
+    }
+
+    async function upload(media = []) {
+        const ids = [];
+        for (const m of media) {
+            try {
+                ids.push(await twitterClient.v2.uploadMedia(m.png, { media_type: 'image/png' }));
+            } catch (e) {
+                console.log(`[X] Chart upload failed for ${m.name}, posting without it: ${e.data?.detail || e.message}`);
+            }
+        }
+        return ids;
+    }
+
+    return {
+        templates,
+        render,
+
+        preview: ({ tweets }) => tweets.map((t, i) =>
+            `--- ${i + 1}/${tweets.length} (${weightedLength(t.text)}/280)${t.media ? ` [+ ${t.media.map(m => `${m.name} ${m.png.length}B`).join(', ')}]` : ''}\n${t.text}`
+        ).join('\n'),
+
+        async send({ tweets }) {
+            const posts = [];
+            for (const t of tweets) {
+                const mediaIds = await upload(t.media);
+                posts.push(mediaIds.length ? { text: t.text, media: { media_ids: mediaIds } } : { text: t.text });
+            }
+            console.log(`Posting ${posts.length} tweet(s), first length:`, weightedLength(posts[0].text));
+
+            if (posts.length === 1) await twitterClient.v2.tweet(posts[0]);
+            else await twitterClient.v2.tweetThread(posts);
+        }
+    };
+}
+
+module.exports = { createXPublisher, templates };
@@ -0,0 +1,108 @@
+const ccxt = require('ccxt');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket: `ratePerSecond` tokens refill continuously up to `burst`.
+ * take() resolves once a token is available, in call order.
+ */
+function createTokenBucket({ ratePerSecond, burst = 1 }) {
+    let tokens = burst;
+    let last = Date.now();
+    let queue = Promise.resolve();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - last) / 1000) * ratePerSecond);
+        last = now;
+    };
+
+    function take() {
+        if (!Number.isFinite(ratePerSecond) || ratePerSecond <= 0) return Promise.resolve();
+        queue = queue.then(async () => {
+            refill();
+            if (tokens < 1) {
+                await sleep(((1 - tokens) / ratePerSecond) * 1000);
+                refill();
+            }
+            tokens -= 1;
+        });
+        return queue;
+    }
+
+    // Takes a token only if one is available right now, for callers that would rather refuse than wait
+    function tryTake() {
+        if (!Number.isFinite(ratePerSecond) || ratePerSecond <= 0) return true;
+        refill();
+        if (tokens < 1) return false;
+        tokens -= 1;
+        return true;
+    }
+
+    return { take, tryTake };
+}
+
+/**
+ * Bucket sized from a ccxt exchange's `rateLimit` (milliseconds between calls).
+ * An explicit `rateLimitMs` overrides it; 0 means unlimited.
+ */
+function bucketForExchange(exchange, rateLimitMs = exchange.rateLimit, burst = 1) {
+    return createTokenBucket({ ratePerSecond: rateLimitMs > 0 ? 1000 / rateLimitMs : Infinity, burst });
+}
+
+/**
+ * Rate limits (429), server errors (5xx) and network failures are worth
+ * retrying; bad symbols and unsupported calls are not.
+ */
+function isRetryable(error) {
+    if (error instanceof ccxt.NetworkError) return true;
+    if (error instanceof ccxt.BaseError) return false;
+    const code = error.response && error.response.status;
+    if (code) return code === 429 || code >= 500;
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ECONNREFUSED'].includes(error.code);
+}
+
+/**
+ * Runs `fn` with exponential backoff plus jitter on retryable errors.
+ * Honours a Retry-After header when the server sends one.
+ */
+async function withRetry(fn, { retries = 3, baseDelay = 1000, maxDelay = 30000, label = 'request' } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) throw error;
+            const retryAfter = error.response && parseFloat(error.response.headers && error.response.headers['retry-after']);
+            const delay = retryAfter > 0
+                ? retryAfter * 1000
+                : Math.min(maxDelay, baseDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+            console.log(`[Retry] ${label} failed (${error.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Processes `items` with at most `concurrency` workers in flight.
+ * Results keep the input order; a failing item yields { error } instead.
+ */
+async function runPool(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runWorker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { value: await worker(items[index], index) };
+            } catch (error) {
+                results[index] = { error };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runWorker));
+    return results;
+}
+
+module.exports = { sleep, createTokenBucket, bucketForExchange, isRetryable, withRetry, runPool };
@@ -0,0 +1,66 @@
+const { EMA, SMA } = require('technicalindicators');
+
+const REGIMES = ['risk-on', 'chop', 'risk-off'];
+
+const DEFAULT_REGIME = {
+    benchmark: 'BTC/USD',
+    fast: 20,            // BTC daily EMA periods for the trend vote
+    slow: 50,
+    breadthPeriod: 20,   // daily SMA a coin must close above to count as "up"
+    breadthOn: 0.6,
+    breadthOff: 0.4,
+    volatilityDays: 14,
+    maxVolatility: 0.05, // daily stdev of BTC returns that counts as stressed
+    greed: 55,
+    fear: 25
+};
+
+/**
+ * True when the last daily close is above its `period` SMA.
+ */
+function isAboveTrend(daily, period = DEFAULT_REGIME.breadthPeriod) {
+    const closes = daily.map(d => d[4]);
+    const sma = SMA.calculate({ period, values: closes });
+    return sma.length > 0 && closes[closes.length - 1] > sma[sma.length - 1];
+}
+
+/**
+ * MARKET REGIME
+ * Each input votes +1 / 0 / -1:
+ *   BTC trend    close > fast EMA > slow EMA (or the reverse)
+ *   breadth      share of the universe above its daily SMA
+ *   sentiment    Fear & Greed at or beyond the greed/fear marks
+ * Stressed BTC volatility takes one more point off. Two or more points
+ * either way is risk-on / risk-off; anything else is chop.
+ */
+function detectRegime({ btcDaily = [], breadth, fearIndex }, settings = {}) {
+    const p = { ...DEFAULT_REGIME, ...settings };
+    const closes = btcDaily.map(d => d[4]);
+
+    let btcTrend = 0;
+    const fast = EMA.calculate({ period: p.fast, values: closes });
+    const slow = EMA.calculate({ period: p.slow, values: closes });
+    if (fast.length && slow.length) {
+        const close = closes[closes.length - 1];
+        const f = fast[fast.length - 1], s = slow[slow.length - 1];
+        if (close > f && f > s) btcTrend = 1;
+        else if (close < f && f < s) btcTrend = -1;
+    }
+
+    const returns = closes.slice(-(p.volatilityDays + 1)).map((c, i, arr) => i === 0 ? null : Math.log(c / arr[i - 1])).slice(1);
+    const mean = returns.reduce((a, b) => a + b, 0) / (returns.length || 1);
+    const volatility = returns.length > 1
+        ? Math.sqrt(returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length - 1))
+        : null;
+
+    const breadthVote = breadth === undefined ? 0 : breadth >= p.breadthOn ? 1 : breadth <= p.breadthOff ? -1 : 0;
+    const sentimentVote = fearIndex === undefined || Number.isNaN(fearIndex) ? 0 : fearIndex >= p.greed ? 1 : fearIndex <= p.fear ? -1 : 0;
+    const stressed = volatility !== null && volatility > p.maxVolatility;
+
+    const votes = btcTrend + breadthVote + sentimentVote - (stressed ? 1 : 0);
+    const regime = votes >= 2 ? 'risk-on' : votes <= -2 ? 'risk-off' : 'chop';
+
+    return { regime, votes, btcTrend, breadth, fearIndex, volatility, stressed };
+}
+
+module.exports = { REGIMES, DEFAULT_REGIME, isAboveTrend, detectRegime };
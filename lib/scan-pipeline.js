@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { runPool } = require('./rate-limit');
+
+const CHECKPOINT_FILE = './cache/scan-checkpoint.json';
+
+/**
+ * SCAN PIPELINE
+ * Scores `symbols` with a small worker pool. Throughput is bounded by the
+ * market data layer's token buckets, so `concurrency` only needs to be
+ * large enough to keep them busy.
+ *
+ * Progress is checkpointed every `checkpointEvery` symbols. A checkpoint
+ * younger than `resumeWithin` ms is picked up by the next run, which then
+ * skips the symbols that were already scored. The file is removed when a
+ * scan completes. A null `checkpointFile` scans without checkpoints.
+ *
+ * `scoreOne(symbol)` returns a candidate, null to leave the symbol out, or
+ * throws; failures are logged through `onError` and left out of the results.
+ */
+async function runScan({
+    symbols,
+    scoreOne,
+    concurrency = 4,
+    checkpointFile = CHECKPOINT_FILE,
+    checkpointEvery = 10,
+    resumeWithin = 6 * 60 * 60 * 1000,
+    onProgress = () => {},
+    onError = () => {}
+}) {
+    const checkpoint = checkpointFile ? loadCheckpoint(checkpointFile, resumeWithin) : null;
+    const done = checkpoint ? checkpoint.done : {};
+    const startedAt = checkpoint ? checkpoint.startedAt : new Date().toISOString();
+    const resumed = Object.keys(done).filter(s => symbols.includes(s)).length;
+    if (resumed > 0) console.log(`[Scan] Resuming checkpoint from ${startedAt}: ${resumed}/${symbols.length} symbols already scored.`);
+
+    const save = () => {
+        if (!checkpointFile) return;
+        fs.mkdirSync(path.dirname(checkpointFile), { recursive: true });
+        fs.writeFileSync(checkpointFile, JSON.stringify({ startedAt, savedAt: new Date().toISOString(), done }));
+    };
+
+    const todo = symbols.filter(s => !done[s]);
+    let completed = resumed;
+    let sinceSave = 0;
+
+    await runPool(todo, concurrency, async (symbol) => {
+        try {
+            done[symbol] = await scoreOne(symbol);
+            completed++;
+            if (done[symbol]) onProgress(done[symbol], completed, symbols.length);
+        } catch (e) {
+            completed++;
+            onError(symbol, e);
+        }
+        if (++sinceSave >= checkpointEvery) {
+            sinceSave = 0;
+            save();
+        }
+    });
+
+    if (checkpointFile && fs.existsSync(checkpointFile)) fs.unlinkSync(checkpointFile);
+
+    // Keep the universe order so equal scores rank the same way every run
+    return { candidates: symbols.filter(s => done[s]).map(s => done[s]), resumed };
+}
+
+function loadCheckpoint(file, resumeWithin) {
+    if (!fs.existsSync(file)) return null;
+    try {
+        const checkpoint = JSON.parse(fs.readFileSync(file));
+        if (Date.now() - Date.parse(checkpoint.startedAt) > resumeWithin) return null;
+        return checkpoint;
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = { CHECKPOINT_FILE, runScan };
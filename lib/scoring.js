@@ -0,0 +1,170 @@
+const { createRegistry } = require('./strategies');
+const { isAboveTrend } = require('./regime');
+const { higherTimeframe } = require('./timeframes');
+
+const DEFAULT_STRATEGIES = createRegistry();
+
+// What the strategies see: the hourly/daily shortcuts plus every loaded timeframe
+const candlesOf = ({ ohlcv, dailyOhlcv, frames = {} }) => ({ hourly: ohlcv, daily: dailyOhlcv, frames: { ...frames, '1h': ohlcv, '1d': dailyOhlcv } });
+
+/**
+ * Runs one strategy. When it has `confirm`, a signal only counts if the
+ * candles of the next higher timeframe confirm it (missing candles don't);
+ * `signal` keeps the unconfirmed result.
+ */
+function runStrategy(strategy, candles, context) {
+    const signal = strategy.evaluate(candles, context);
+    if (!signal || !strategy.confirm) return { result: signal, signal, confirmed: null };
+
+    const higher = candles.frames[higherTimeframe(strategy.timeframe || '1h')] || [];
+    const confirmed = higher.length > 0 && Boolean(strategy.confirm(higher, context));
+    return { result: confirmed && signal, signal, confirmed };
+}
+
+/**
+ * SCORING ENGINE
+ * Runs every active strategy against data that has already been fetched.
+ * Nothing in here touches the network, so the live scan and the backtest
+ * produce identical scores for identical candles.
+ *
+ * `frames` adds the 15m/4h candles of the multi-timeframe strategies.
+ * `breadthPeriod` is the daily SMA behind `aboveTrend` (regime.breadthPeriod).
+ * Returns the total score, the trigger labels in strategy order and a
+ * breakdown of which strategy contributed how many points.
+ */
+function scoreSymbol({ ohlcv, dailyOhlcv, frames, currentPrice, coinSymbol, socialData = {}, whaleFlows = [], fundingRate, fearIndex, breadthPeriod }, strategies = DEFAULT_STRATEGIES) {
+    const candles = candlesOf({ ohlcv, dailyOhlcv, frames });
+    const market = { currentPrice, coinSymbol, socialData, whaleFlows, fundingRate, fearIndex };
+    let score = 0;
+    let triggers = [];
+    let breakdown = [];
+
+    for (const strategy of strategies) {
+        const { result } = runStrategy(strategy, candles, { ...market, params: strategy.params });
+        if (!result) continue;
+
+        const trigger = typeof result === 'string' ? result : strategy.trigger;
+        score += strategy.weight;
+        triggers.push(trigger);
+        breakdown.push({ strategy: strategy.name, trigger, points: strategy.weight });
+    }
+
+    // Feeds market breadth for the regime detector
+    const aboveTrend = isAboveTrend(dailyOhlcv, breadthPeriod);
+
+    return { score, triggers, breakdown, aboveTrend };
+}
+
+/**
+ * Universe-normalized contribution of one strategy (see rankCandidates)
+ */
+function normalizedPoints(weight, p, fired) {
+    if (!(p > 0 && p < 1)) return 0;
+    return fired ? weight * Math.sqrt((1 - p) / p) : -weight * Math.sqrt(p / (1 - p));
+}
+
+/**
+ * CROSS-SECTIONAL RANKING
+ * Re-scores a scanned universe with (regime-adjusted) weights and ranks it.
+ *
+ * With `normalize`, each strategy's contribution is standardized across
+ * the universe: firing is worth weight * sqrt((1 - p) / p) and not firing
+ * costs weight * sqrt(p / (1 - p)), where p is the share of symbols the
+ * strategy fired for. A signal every coin has (p = 1, e.g. Extreme Fear)
+ * adds nothing, and rare signals count for more, so the top of the list
+ * reflects relative strength instead of market-wide conditions.
+ *
+ * Every candidate needs its `breakdown`. Returns new objects sorted by
+ * `score`, with `rawScore` (weighted points) and `percentile` (0-100).
+ */
+function rankCandidates(candidates, { strategies = DEFAULT_STRATEGIES, normalize = true } = {}) {
+    const weights = Object.fromEntries(strategies.map(s => [s.name, s.weight]));
+    const fired = (c, name) => (c.breakdown || []).some(b => b.strategy === name);
+    const n = candidates.length;
+
+    const rates = {};
+    for (const name of Object.keys(weights)) {
+        rates[name] = n ? candidates.filter(c => fired(c, name)).length / n : 0;
+    }
+
+    const scored = candidates.map(c => {
+        const rawScore = (c.breakdown || []).reduce((sum, b) => sum + (weights[b.strategy] || 0), 0);
+        let score = rawScore;
+        if (normalize) {
+            score = 0;
+            for (const [name, weight] of Object.entries(weights)) {
+                score += normalizedPoints(weight, rates[name], fired(c, name));
+            }
+        }
+        return { ...c, score: Math.round(score * 100) / 100, rawScore };
+    });
+
+    return scored
+        .map(c => {
+            const below = scored.filter(o => o.score < c.score).length;
+            const equal = scored.filter(o => o.score === c.score).length;
+            return { ...c, percentile: Math.round(((below + (equal - 1) / 2) / Math.max(1, n - 1)) * 1000) / 10 };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Chart points behind each fired strategy, for the hourly pick chart.
+ * Strategies without their own markers point at the last close.
+ */
+function triggerMarkers({ ohlcv, dailyOhlcv, frames, ...market }, breakdown, strategies = DEFAULT_STRATEGIES) {
+    const candles = candlesOf({ ohlcv, dailyOhlcv, frames });
+    const last = { index: ohlcv.length - 1, value: ohlcv[ohlcv.length - 1][4] };
+    const markers = [];
+
+    for (const { strategy: name } of breakdown) {
+        const strategy = strategies.find(s => s.name === name);
+        const points = strategy && strategy.markers ? strategy.markers(candles, { ...market, params: strategy.params }) : [last];
+        points.forEach(p => {
+            if (!markers.some(m => m.index === p.index && m.value === p.value)) markers.push(p);
+        });
+    }
+    return markers;
+}
+
+/**
+ * Share of candidates each strategy fired for, keyed by strategy name
+ */
+function fireRates(candidates) {
+    const rates = {};
+    candidates.forEach(c => (c.breakdown || []).forEach(b => { rates[b.strategy] = (rates[b.strategy] || 0) + 1; }));
+    Object.keys(rates).forEach(name => { rates[name] /= candidates.length; });
+    return rates;
+}
+
+/**
+ * Per-strategy explanation of one symbol's score: the measured inputs,
+ * the thresholds they were compared against, whether it fired (and was
+ * confirmed on the higher timeframe) and the points it contributed. With
+ * the fire `rates` of a scanned universe the normalized contribution is
+ * included as well.
+ */
+function explainSymbol({ ohlcv, dailyOhlcv, frames, ...market }, strategies = DEFAULT_STRATEGIES, { rates } = {}) {
+    const candles = candlesOf({ ohlcv, dailyOhlcv, frames });
+
+    return strategies.map(strategy => {
+        const context = { ...market, params: strategy.params };
+        const { result, signal, confirmed } = runStrategy(strategy, candles, context);
+        const row = {
+            strategy: strategy.name,
+            trigger: typeof result === 'string' ? result : strategy.trigger,
+            timeframe: strategy.timeframe || null,
+            signal: Boolean(signal),
+            confirmed,
+            weight: strategy.weight,
+            params: strategy.params,
+            inputs: strategy.inspect ? strategy.inspect(candles, context) : {},
+            fired: Boolean(result),
+            points: result ? strategy.weight : 0
+        };
+        if (rates) row.normalized = Math.round(normalizedPoints(strategy.weight, rates[strategy.name] || 0, row.fired) * 100) / 100;
+        return row;
+    });
+}
+
+module.exports = { scoreSymbol, rankCandidates, triggerMarkers, fireRates, explainSymbol };
@@ -0,0 +1,133 @@
+const http = require('http');
+const fs = require('fs');
+const { escapeHtml } = require('./publishers/format');
+const { toMarketSymbol } = require('./symbols');
+
+/**
+ * DASHBOARD & JSON API
+ * Routes served from the keep-alive port:
+ *   GET /                 HTML page with today's top picks and recent results
+ *   GET /health           last scan time/status, data source freshness and failures
+ *   GET /picks/latest     top picks of the latest stored scan
+ *   GET /picks/history    recent scans (?limit=N) with their measured outcomes and alerts
+ *   GET /scan/:symbol     live score breakdown, e.g. /scan/BTC/USD or /scan/BTC-USD
+ *   GET /metrics          Prometheus metrics
+ *
+ * `status` is a live object the scan updates; `scanSymbol(symbol)` scores
+ * one market on demand (no /scan route without it), and `scanLimit`, a
+ * token bucket, answers 429 once it is used up.
+ */
+function createServer({ history, status, metrics, scanSymbol, scanLimit, storageFile }) {
+    const routes = [
+        ['/', () => html(renderDashboard(latestPicks(), recentScans(10)))],
+        ['/health', () => json(status.lastScanStatus === 'failed' ? 503 : 200, {
+            status: status.lastScanStatus || 'starting',
+            running: status.running,
+            lastScanAt: status.lastScanAt,
+            lastScanDurationSeconds: status.lastScanDuration,
+            symbolsScanned: status.symbolsScanned,
+            regime: status.regime || null,
+            lastError: status.lastError || null,
+            failedSources: Object.keys(status.failedSources || {}),
+            errors: status.failedSources || {},
+            sources: status.sources || {}
+        })],
+        ['/picks/latest', () => json(200, latestPicks())],
+        ['/picks/history', (url) => json(200, recentScans(parseInt(url.searchParams.get('limit')) || 30))],
+        ['/metrics', () => ({ code: 200, type: 'text/plain; version=0.0.4', body: metrics.render() })]
+    ];
+
+    function latestPicks() {
+        const scan = history.latestScan();
+        if (scan) {
+            return { scanId: scan.scanId, scannedAt: scan.scannedAt, picks: scan.top.map(s => scan.candidates.find(c => c.symbol === s)).filter(Boolean) };
+        }
+        if (storageFile && fs.existsSync(storageFile)) {
+            return { scanId: null, scannedAt: null, picks: JSON.parse(fs.readFileSync(storageFile)) };
+        }
+        return { scanId: null, scannedAt: null, picks: [] };
+    }
+
+    function recentScans(limit) {
+        const outcomes = history.readOutcomes();
+        const alerts = history.readAlerts();
+        return history.readScans().slice(-limit).reverse().map(scan => ({
+            scanId: scan.scanId,
+            scannedAt: scan.scannedAt,
+            candidates: scan.candidates.length,
+            picks: scan.top.map(symbol => {
+                const pick = scan.candidates.find(c => c.symbol === symbol) || { symbol };
+                const results = {};
+                outcomes.filter(o => o.scanId === scan.scanId && o.symbol === symbol)
+                    .forEach(o => { results[o.horizon] = o.change; });
+                return { ...pick, outcomes: results, alerts: alerts.filter(a => a.scanId === scan.scanId && a.symbol === symbol) };
+            })
+        }));
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        let response;
+
+        if (req.method !== 'GET') {
+            response = json(405, { error: 'Method not allowed' });
+        } else if (scanSymbol && url.pathname.startsWith('/scan/')) {
+            const symbol = toMarketSymbol(decodeURIComponent(url.pathname.slice('/scan/'.length)));
+            if (scanLimit && !scanLimit.tryTake()) {
+                response = { ...json(429, { error: 'Too many scan requests, try again later', symbol }), headers: { 'Retry-After': '60' } };
+            } else {
+                try {
+                    response = json(200, await scanSymbol(symbol));
+                } catch (e) {
+                    response = json(e.name === 'BadSymbol' ? 404 : 502, { error: e.message, symbol });
+                }
+            }
+        } else {
+            const pathname = url.pathname.length > 1 ? url.pathname.replace(/\/$/, '') : url.pathname;
+            const route = routes.find(([path]) => path === pathname);
+            response = route ? route[1](url) : json(404, { error: 'Not found' });
+        }
+
+        res.writeHead(response.code, { 'Content-Type': response.type, ...response.headers });
+        res.end(response.body);
+    }
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch(e => {
+            console.error("[Server] Request failed:", e.message);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Internal error' }));
+        });
+    });
+}
+
+const json = (code, data) => ({ code, type: 'application/json', body: JSON.stringify(data, null, 2) });
+const html = (body) => ({ code: 200, type: 'text/html; charset=utf-8', body });
+
+const pct = (v) => v === undefined ? '–' : `${v > 0 ? '+' : ''}${v.toFixed(2)}%`;
+
+function renderDashboard(latest, scans) {
+    const latestRows = latest.picks.map((p, i) => `<tr><td>${i + 1}</td><td>${escapeHtml(p.symbol)}</td><td>${p.score}</td><td>${escapeHtml(p.priceAt5am)}</td><td>${escapeHtml(p.triggers.join(', '))}</td></tr>`).join('\n');
+    const previousRows = scans.slice(latest.scanId ? 1 : 0).flatMap(scan => scan.picks.map(p =>
+        `<tr><td>${escapeHtml(scan.scannedAt.slice(0, 16).replace('T', ' '))}</td><td>${escapeHtml(p.symbol)}</td><td>${p.score}</td><td>${pct(p.outcomes['1h'])}</td><td>${pct(p.outcomes['4h'])}</td><td>${pct(p.outcomes['24h'])}</td><td>${pct(p.outcomes['7d'])}</td></tr>`
+    )).join('\n');
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>DailyMovers</title>
+<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;margin-bottom:2em}td,th{border:1px solid #ccc;padding:4px 8px;text-align:left}</style>
+</head><body>
+<h1>Today's Top ${latest.picks.length}</h1>
+<p>Scanned: ${escapeHtml(latest.scannedAt || 'unknown')}</p>
+<table><tr><th>#</th><th>Symbol</th><th>Score</th><th>Entry</th><th>Triggers</th></tr>
+${latestRows}
+</table>
+<h2>Previous Results</h2>
+<table><tr><th>Scan</th><th>Symbol</th><th>Score</th><th>1h</th><th>4h</th><th>24h</th><th>7d</th></tr>
+${previousRows}
+</table>
+<p><a href="/health">health</a> · <a href="/picks/latest">latest JSON</a> · <a href="/picks/history">history JSON</a> · <a href="/metrics">metrics</a></p>
+</body></html>
+`;
+}
+
+module.exports = { createServer };
@@ -0,0 +1,30 @@
+const { ADX } = require('technicalindicators');
+const { trendUp } = require('../timeframes');
+
+/**
+ * 21. ADX Trend Strength
+ * On the 4h chart ADX is at least `minAdx` with +DI above -DI: a strong
+ * uptrend rather than drift. Confirmed by a daily uptrend.
+ */
+function inspect({ frames }, { params }) {
+    const bars = frames['4h'] || [];
+    const adx = ADX.calculate({ period: params.period, high: bars.map(d => d[2]), low: bars.map(d => d[3]), close: bars.map(d => d[4]) });
+    const last = adx[adx.length - 1];
+    return last ? { adx: last.adx, plusDi: last.pdi, minusDi: last.mdi } : { bars: bars.length };
+}
+
+module.exports = {
+    name: 'adx-trend',
+    trigger: 'ADX Strong Trend',
+    weight: 3,
+    timeframe: '4h',
+    params: { period: 14, minAdx: 25 },
+    regimeWeights: { 'risk-on': 1.25, chop: 0.5 },
+    inspect,
+    evaluate(candles, context) {
+        const { adx, plusDi, minusDi } = inspect(candles, context);
+        if (adx === undefined) return false;
+        return adx >= context.params.minAdx && plusDi > minusDi;
+    },
+    confirm: (higher) => trendUp(higher)
+};
@@ -0,0 +1,61 @@
+const { trendUp } = require('../timeframes');
+
+// Indexes of bars whose high (or low) is the extreme of the `pivot` bars on each side
+const swings = (bars, field, pivot, better) => {
+    const points = [];
+    for (let i = pivot; i < bars.length - pivot; i++) {
+        const window = bars.slice(i - pivot, i + pivot + 1).map(d => d[field]);
+        if (window.every(v => !better(v, bars[i][field]))) points.push(i);
+    }
+    return points;
+};
+
+/**
+ * 2. Ascending Triangle
+ * Over the last `bars` hourly candles, at least `touches` swing highs sit
+ * within `tolerance` of the highest one (a flat, horizontal resistance),
+ * the swing lows since the first touch keep rising, and price closes
+ * within `proximity` of the resistance. Confirmed by a 4h uptrend.
+ */
+function inspect({ frames }, { params }) {
+    const all = frames['1h'] || [];
+    if (all.length < params.bars) return { bars: all.length };
+    const offset = all.length - params.bars;
+    const bars = all.slice(offset);
+
+    const highs = swings(bars, 2, params.pivot, (a, b) => a > b);
+    if (highs.length === 0) return { touches: 0 };
+    const resistance = Math.max(...highs.map(i => bars[i][2]));
+    const touches = highs.filter(i => bars[i][2] >= resistance * (1 - params.tolerance));
+    const lows = swings(bars, 3, params.pivot, (a, b) => a < b).filter(i => i > touches[0]);
+    const close = bars[bars.length - 1][4];
+
+    return {
+        resistance,
+        touches: touches.length,
+        risingLows: lows.length >= 2 && lows.every((index, i) => i === 0 || bars[index][3] > bars[lows[i - 1]][3]),
+        close,
+        distance: (resistance - close) / resistance,
+        points: [...touches.map(i => ({ index: offset + i, value: bars[i][2] })), ...lows.map(i => ({ index: offset + i, value: bars[i][3] }))]
+    };
+}
+
+module.exports = {
+    name: 'ascending-triangle',
+    trigger: 'Ascending Triangle',
+    weight: 4,
+    timeframe: '1h',
+    params: { bars: 48, pivot: 2, touches: 2, tolerance: 0.005, proximity: 0.02 },
+    inspect: (candles, context) => {
+        const { points, ...inputs } = inspect(candles, context);
+        return inputs;
+    },
+    evaluate(candles, context) {
+        const { touches, risingLows, distance } = inspect(candles, context);
+        return touches >= context.params.touches && risingLows && Math.abs(distance) <= context.params.proximity;
+    },
+    confirm: (higher) => trendUp(higher),
+    markers(candles, context) {
+        return inspect(candles, context).points || [];
+    }
+};
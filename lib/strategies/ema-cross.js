@@ -0,0 +1,29 @@
+const { EMA } = require('technicalindicators');
+const { trendUp } = require('../timeframes');
+
+/**
+ * 5. 10/20 EMA Cross
+ * The fast EMA is above the slow EMA on the hourly chart. Confirmed by a
+ * 4h uptrend.
+ */
+function inspect({ hourly }, { params }) {
+    const closes = hourly.map(d => d[4]);
+    const fast = EMA.calculate({ period: params.fast, values: closes });
+    const slow = EMA.calculate({ period: params.slow, values: closes });
+    return { fastEma: fast[fast.length - 1], slowEma: slow[slow.length - 1] };
+}
+
+module.exports = {
+    name: 'ema-cross',
+    trigger: 'EMA Cross',
+    weight: 3,
+    timeframe: '1h',
+    params: { fast: 10, slow: 20 },
+    regimeWeights: { 'risk-on': 1, chop: 0.5, 'risk-off': 0.5 },
+    inspect,
+    evaluate(candles, context) {
+        const { fastEma, slowEma } = inspect(candles, context);
+        return fastEma > slowEma;
+    },
+    confirm: (higher) => trendUp(higher)
+};
@@ -0,0 +1,16 @@
+/**
+ * 16. Max Pain / Funding
+ * Deeply negative funding means shorts are crowded and can be squeezed.
+ */
+module.exports = {
+    name: 'funding-squeeze',
+    trigger: 'Short Squeeze potential',
+    weight: 8,
+    params: { maxRate: -0.01 },
+    inspect(candles, { fundingRate }) {
+        return { fundingRate };
+    },
+    evaluate(candles, { fundingRate, params }) {
+        return fundingRate < params.maxRate;
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * 13. LunarCrush Galaxy Score
+ * Fires above `minScore` and reports the score in the trigger label.
+ */
+module.exports = {
+    name: 'galaxy-score',
+    trigger: 'Social: Galaxy Score',
+    weight: 10,
+    params: { minScore: 70 },
+    inspect(candles, { coinSymbol, socialData = {} }) {
+        const coin = socialData[coinSymbol];
+        return { galaxyScore: coin ? coin.galaxy_score : undefined };
+    },
+    evaluate(candles, { coinSymbol, socialData = {}, params }) {
+        const coin = socialData[coinSymbol];
+        if (!coin || !(coin.galaxy_score > params.minScore)) return false;
+        return `Social: Galaxy Score ${coin.galaxy_score}`;
+    }
+};
@@ -0,0 +1,26 @@
+const { trendUp } = require('../timeframes');
+
+/**
+ * 8. The Gapper
+ * The latest hourly close is at least `minGap` above today's daily open.
+ * Confirmed by a 4h uptrend.
+ */
+function inspect({ hourly, daily }) {
+    const dayOpen = daily[daily.length - 1][1];
+    const close = hourly[hourly.length - 1][4];
+    return { dayOpen, close, gap: (close - dayOpen) / dayOpen };
+}
+
+module.exports = {
+    name: 'gapper',
+    trigger: 'Gapper Continuation',
+    weight: 4,
+    timeframe: '1h',
+    params: { minGap: 0.03 },
+    regimeWeights: { 'risk-on': 1.25, chop: 0.75, 'risk-off': 0.5 },
+    inspect,
+    evaluate(candles, context) {
+        return inspect(candles, context).gap >= context.params.minGap;
+    },
+    confirm: (higher) => trendUp(higher)
+};
@@ -0,0 +1,89 @@
+/**
+ * STRATEGY REGISTRY
+ * Every strategy is a module exporting:
+ *   name      unique id used in config
+ *   trigger   default label shown in picks and tweets
+ *   weight    points added to the score when it fires
+ *   params    tunable thresholds, passed to evaluate as `context.params`
+ *   evaluate  pure (candles, context) => false | true | custom label
+ *   regimeWeights optional { 'risk-on' | 'chop' | 'risk-off': multiplier } applied
+ *             to `weight` in that market regime (1 when missing)
+ *   markers   optional (candles, context) => [{ index, value }] hourly points
+ *             to highlight on charts; defaults to the last close
+ *   inspect   optional (candles, context) => { input: value } the measured
+ *             values evaluate compares against `params`, shown by `cli.js explain`
+ *   timeframe optional '15m' | '1h' | '4h' | '1d' the signal is measured on ('1h')
+ *   confirm   optional (higher, context) => boolean, run on the candles of the
+ *             next higher timeframe; the signal only counts when it holds there
+ *
+ * Every chart strategy below the daily timeframe has `confirm`. Exempt are
+ * the daily rounding-bottom (no higher timeframe) and the strategies that
+ * don't read candles (unit-bias, galaxy-score, whale-inflow, funding-squeeze,
+ * inverse-sentiment).
+ *
+ * `candles` is `{ hourly, daily, frames }` (ccxt OHLCV rows, oldest first),
+ * where `frames` holds every loaded timeframe: { '15m', '1h', '4h', '1d' };
+ * `context` carries the per-symbol and market-wide inputs of the scan.
+ */
+const BUILT_IN = [
+    require('./rounding-bottom'),
+    require('./ascending-triangle'),
+    require('./psar-flip'),
+    require('./ema-cross'),
+    require('./volatility-squeeze'),
+    require('./gapper'),
+    require('./mean-reversion'),
+    require('./vwap-bounce'),
+    require('./unit-bias'),
+    require('./galaxy-score'),
+    require('./whale-inflow'),
+    require('./funding-squeeze'),
+    require('./inverse-sentiment'),
+    require('./rsi-divergence'),
+    require('./macd-cross'),
+    require('./volume-spike'),
+    require('./adx-trend')
+];
+
+/**
+ * Builds the active strategy list from the built-ins plus config overrides:
+ *   { "psar-flip": { "enabled": false }, "mean-reversion": { "weight": 10, "params": { "factor": 0.9 } } }
+ * `"confirm": false` counts a strategy's signal without the higher-timeframe check.
+ * Unknown names are reported rather than silently ignored.
+ */
+function createRegistry(overrides = {}, strategies = BUILT_IN) {
+    const known = new Set(strategies.map(s => s.name));
+    Object.keys(overrides).forEach(name => {
+        if (!known.has(name)) console.log(`[Strategies] Unknown strategy in config: ${name}`);
+    });
+
+    return strategies
+        .map(s => {
+            const override = overrides[s.name] || {};
+            return {
+                ...s,
+                enabled: override.enabled !== false,
+                weight: override.weight !== undefined ? override.weight : s.weight,
+                params: { ...s.params, ...override.params },
+                regimeWeights: { ...s.regimeWeights, ...override.regimeWeights },
+                confirm: override.confirm === false ? undefined : s.confirm
+            };
+        })
+        .filter(s => s.enabled);
+}
+
+/**
+ * Re-weights strategies for a market regime. Config can pin weights per
+ * regime, which wins over the strategy's own multiplier:
+ *   { "risk-off": { "ema-cross": { "weight": 0 } } }
+ */
+function applyRegime(strategies, regime, regimeOverrides = {}) {
+    const overrides = regimeOverrides[regime] || {};
+    return strategies.map(s => {
+        const override = overrides[s.name] || {};
+        const multiplier = s.regimeWeights && s.regimeWeights[regime] !== undefined ? s.regimeWeights[regime] : 1;
+        return { ...s, weight: override.weight !== undefined ? override.weight : s.weight * multiplier };
+    });
+}
+
+module.exports = { BUILT_IN, createRegistry, applyRegime };
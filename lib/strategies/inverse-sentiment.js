@@ -0,0 +1,16 @@
+/**
+ * 17. Inverse Sentiment
+ * Fear & Greed below `maxIndex` marks extreme fear.
+ */
+module.exports = {
+    name: 'inverse-sentiment',
+    trigger: 'Market Extreme Fear',
+    weight: 5,
+    params: { maxIndex: 25 },
+    inspect(candles, { fearIndex }) {
+        return { fearIndex };
+    },
+    evaluate(candles, { fearIndex, params }) {
+        return fearIndex < params.maxIndex;
+    }
+};
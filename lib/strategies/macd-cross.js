@@ -0,0 +1,40 @@
+const { MACD } = require('technicalindicators');
+
+const histogram = (bars, params) => MACD.calculate({
+    values: bars.map(d => d[4]),
+    fastPeriod: params.fast,
+    slowPeriod: params.slow,
+    signalPeriod: params.signal,
+    SimpleMAOscillator: false,
+    SimpleMASignal: false
+}).map(m => m.histogram).filter(h => h !== undefined);
+
+/**
+ * 19. MACD Cross
+ * The hourly MACD crossed above its signal line on the last bar
+ * (histogram turned positive). Confirmed when the 4h MACD is above its
+ * signal line too.
+ */
+function inspect({ frames }, { params }) {
+    const hist = histogram(frames['1h'] || [], params);
+    return { histogram: hist[hist.length - 1], previousHistogram: hist[hist.length - 2] };
+}
+
+module.exports = {
+    name: 'macd-cross',
+    trigger: 'MACD Bullish Cross',
+    weight: 3,
+    timeframe: '1h',
+    params: { fast: 12, slow: 26, signal: 9 },
+    regimeWeights: { 'risk-on': 1.25, chop: 0.75 },
+    inspect,
+    evaluate(candles, context) {
+        const { histogram: now, previousHistogram: before } = inspect(candles, context);
+        if (before === undefined) return false;
+        return now > 0 && before <= 0;
+    },
+    confirm(higher, { params }) {
+        const hist = histogram(higher, params);
+        return hist.length > 0 && hist[hist.length - 1] > 0;
+    }
+};
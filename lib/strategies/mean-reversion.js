@@ -0,0 +1,24 @@
+/**
+ * 9. Mean Reversion
+ * The latest close sits below `factor` times the hourly mean. Confirmed
+ * when the last 4h candle closed green, i.e. the selling has paused.
+ */
+function inspect({ hourly }) {
+    const closes = hourly.map(d => d[4]);
+    return { close: closes[closes.length - 1], mean: closes.reduce((a, b) => a + b) / closes.length };
+}
+
+module.exports = {
+    name: 'mean-reversion',
+    trigger: 'Mean Reversion (Oversold)',
+    weight: 8,
+    timeframe: '1h',
+    params: { factor: 0.88 },
+    regimeWeights: { 'risk-on': 0.75, chop: 1.25, 'risk-off': 1 },
+    inspect,
+    evaluate(candles, context) {
+        const { close, mean } = inspect(candles, context);
+        return close < mean * context.params.factor;
+    },
+    confirm: (higher) => higher[higher.length - 1][4] > higher[higher.length - 1][1]
+};
@@ -0,0 +1,36 @@
+const { PSAR } = require('technicalindicators');
+const { trendUp } = require('../timeframes');
+
+/**
+ * 4. PSAR Flip
+ * Parabolic SAR was above price on the previous bar and is below it now.
+ * Confirmed by a 4h uptrend.
+ */
+function inspect({ hourly }, { params }) {
+    const closes = hourly.map(d => d[4]);
+    const psar = PSAR.calculate({ step: params.step, max: params.max, high: hourly.map(d => d[2]), low: hourly.map(d => d[3]) });
+    return {
+        psar: psar[psar.length - 1],
+        close: closes[closes.length - 1],
+        previousPsar: psar[psar.length - 2],
+        previousClose: closes[closes.length - 2]
+    };
+}
+
+module.exports = {
+    name: 'psar-flip',
+    trigger: 'PSAR Flip',
+    weight: 6,
+    timeframe: '1h',
+    params: { step: 0.02, max: 0.2 },
+    regimeWeights: { 'risk-off': 0.75 },
+    inspect,
+    evaluate(candles, context) {
+        const { psar, close, previousPsar, previousClose } = inspect(candles, context);
+        return psar < close && previousPsar > previousClose;
+    },
+    confirm: (higher) => trendUp(higher),
+    markers(candles, context) {
+        return [{ index: candles.hourly.length - 1, value: inspect(candles, context).psar }];
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * 1. Rounding Bottom
+ * The middle of the daily window dipped below where it started and price
+ * has since recovered above that trough. Measured on the daily chart,
+ * which has no higher timeframe to confirm it.
+ */
+function inspect({ daily }, { params }) {
+    if (daily.length < params.lookback) return { days: daily.length };
+    const window = daily.slice(-params.lookback);
+    const trough = Math.min(...window.slice(params.troughStart, params.troughEnd).map(d => d[4]));
+    return { days: daily.length, start: window[0][4], trough, close: window[window.length - 1][4] };
+}
+
+module.exports = {
+    name: 'rounding-bottom',
+    trigger: 'Rounding Bottom',
+    weight: 5,
+    timeframe: '1d',
+    params: { lookback: 30, troughStart: 10, troughEnd: 20 },
+    inspect,
+    evaluate(candles, context) {
+        const { start, trough, close } = inspect(candles, context);
+        if (trough === undefined) return false;
+        return trough < start && close > trough;
+    }
+};
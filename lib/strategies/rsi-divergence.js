@@ -0,0 +1,55 @@
+const { RSI } = require('technicalindicators');
+const { trendUp } = require('../timeframes');
+
+/**
+ * 18. RSI Divergence
+ * Bullish divergence on the hourly chart: the lowest low of the last
+ * `recent` bars undercuts the lowest low of the `lookback` bars before
+ * it, while RSI at that low is higher than at the earlier one and still
+ * below `maxRsi`. Confirmed by a 4h uptrend.
+ */
+function inspect({ frames }, { params }) {
+    const bars = frames['1h'] || [];
+    const rsi = RSI.calculate({ period: params.period, values: bars.map(d => d[4]) });
+    const offset = bars.length - rsi.length;
+    if (rsi.length < params.recent + params.lookback) return { bars: bars.length };
+
+    const lowestIn = (from, to) => {
+        let index = from;
+        for (let i = from; i < to; i++) if (bars[i][3] < bars[index][3]) index = i;
+        return index;
+    };
+    const end = bars.length;
+    const recentLow = lowestIn(end - params.recent, end);
+    const priorLow = lowestIn(end - params.recent - params.lookback, end - params.recent);
+
+    return {
+        recentLow: bars[recentLow][3],
+        priorLow: bars[priorLow][3],
+        recentRsi: rsi[recentLow - offset],
+        priorRsi: rsi[priorLow - offset],
+        recentIndex: recentLow,
+        priorIndex: priorLow
+    };
+}
+
+module.exports = {
+    name: 'rsi-divergence',
+    trigger: 'RSI Bullish Divergence',
+    weight: 5,
+    timeframe: '1h',
+    params: { period: 14, recent: 10, lookback: 30, maxRsi: 40 },
+    regimeWeights: { chop: 1.25, 'risk-off': 0.75 },
+    inspect,
+    evaluate(candles, context) {
+        const { recentLow, priorLow, recentRsi, priorRsi } = inspect(candles, context);
+        if (recentRsi === undefined) return false;
+        return recentLow < priorLow && recentRsi > priorRsi && recentRsi < context.params.maxRsi;
+    },
+    confirm: (higher) => trendUp(higher),
+    markers(candles, context) {
+        const { recentIndex, priorIndex } = inspect(candles, context);
+        const bars = candles.frames['1h'];
+        return [priorIndex, recentIndex].map(index => ({ index, value: bars[index][3] }));
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * 12. Unit Bias
+ * Sub-cent prices attract retail buyers looking for "cheap" coins.
+ */
+module.exports = {
+    name: 'unit-bias',
+    trigger: 'Unit Bias',
+    weight: 2,
+    params: { maxPrice: 0.01 },
+    inspect(candles, { currentPrice }) {
+        return { currentPrice };
+    },
+    evaluate(candles, { currentPrice, params }) {
+        return currentPrice < params.maxPrice;
+    }
+};
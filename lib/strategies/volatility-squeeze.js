@@ -0,0 +1,30 @@
+const { BollingerBands } = require('technicalindicators');
+const { trendUp } = require('../timeframes');
+
+/**
+ * 6. Bollinger Squeeze
+ * Band width relative to the middle band is below `maxWidth`. Confirmed
+ * by a 4h uptrend, so the breakout is more likely to go up.
+ */
+function inspect({ hourly }, { params }) {
+    const bb = BollingerBands.calculate({ period: params.period, stdDev: params.stdDev, values: hourly.map(d => d[4]) });
+    const lastBB = bb[bb.length - 1];
+    if (!lastBB) return {};
+    return { upper: lastBB.upper, lower: lastBB.lower, middle: lastBB.middle, width: (lastBB.upper - lastBB.lower) / lastBB.middle };
+}
+
+module.exports = {
+    name: 'volatility-squeeze',
+    trigger: 'Volatility Squeeze',
+    weight: 7,
+    timeframe: '1h',
+    params: { period: 20, stdDev: 2, maxWidth: 0.03 },
+    regimeWeights: { chop: 1.25 },
+    inspect,
+    evaluate(candles, context) {
+        const { width } = inspect(candles, context);
+        if (width === undefined) return false;
+        return width < context.params.maxWidth;
+    },
+    confirm: (higher) => trendUp(higher)
+};
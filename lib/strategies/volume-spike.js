@@ -0,0 +1,37 @@
+const { OBV } = require('technicalindicators');
+
+// OBV has risen over the last `bars` candles
+const obvRising = (bars, period) => {
+    if (bars.length <= period) return false;
+    const obv = OBV.calculate({ close: bars.map(d => d[4]), volume: bars.map(d => d[5]) });
+    return obv.length > period && obv[obv.length - 1] > obv[obv.length - 1 - period];
+};
+
+/**
+ * 20. Volume Spike
+ * The last 15m candle closed green on at least `spike` times the average
+ * volume of the `period` candles before it, with OBV rising. Confirmed
+ * when OBV is rising on the hourly chart as well.
+ */
+function inspect({ frames }, { params }) {
+    const bars = frames['15m'] || [];
+    if (bars.length <= params.period) return { bars: bars.length };
+    const last = bars[bars.length - 1];
+    const previous = bars.slice(-params.period - 1, -1);
+    const average = previous.reduce((sum, d) => sum + d[5], 0) / previous.length;
+    return { volume: last[5], average, ratio: average > 0 ? last[5] / average : 0, green: last[4] > last[1], obvRising: obvRising(bars, params.period) };
+}
+
+module.exports = {
+    name: 'volume-spike',
+    trigger: 'Volume Spike (OBV)',
+    weight: 4,
+    timeframe: '15m',
+    params: { period: 20, spike: 3 },
+    inspect,
+    evaluate(candles, context) {
+        const { ratio, green, obvRising: rising } = inspect(candles, context);
+        return ratio >= context.params.spike && green && rising;
+    },
+    confirm: (higher, { params }) => obvRising(higher, params.period)
+};
@@ -0,0 +1,35 @@
+const { VWAP } = require('technicalindicators');
+const { trendUp } = require('../timeframes');
+
+/**
+ * 11. VWAP Bounce
+ * The last bar wicked down to VWAP and closed back above it. Confirmed by
+ * a 4h uptrend.
+ */
+function inspect({ hourly }) {
+    const vwap = VWAP.calculate({
+        high: hourly.map(d => d[2]),
+        low: hourly.map(d => d[3]),
+        close: hourly.map(d => d[4]),
+        volume: hourly.map(d => d[5])
+    });
+    const last = hourly[hourly.length - 1];
+    return { vwap: vwap[vwap.length - 1], low: last[3], close: last[4] };
+}
+
+module.exports = {
+    name: 'vwap-bounce',
+    trigger: 'VWAP Bounce',
+    weight: 4,
+    timeframe: '1h',
+    params: {},
+    inspect,
+    evaluate(candles, context) {
+        const { vwap, low, close } = inspect(candles, context);
+        return close > vwap && low <= vwap;
+    },
+    confirm: (higher) => trendUp(higher),
+    markers({ hourly }) {
+        return [{ index: hourly.length - 1, value: hourly[hourly.length - 1][3] }];
+    }
+};
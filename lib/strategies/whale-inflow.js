@@ -0,0 +1,19 @@
+/**
+ * 15. Whale Alert Inflow
+ * A large transfer of this coin landed on an exchange wallet.
+ */
+function inspect(candles, { coinSymbol, whaleFlows = [] }) {
+    const transfers = whaleFlows.filter(t => t.symbol.toUpperCase() === coinSymbol);
+    return { transfers: transfers.length, toExchange: transfers.filter(t => t.to.owner_type === 'exchange').length };
+}
+
+module.exports = {
+    name: 'whale-inflow',
+    trigger: 'Whale Activity Detected',
+    weight: 6,
+    params: {},
+    inspect,
+    evaluate(candles, context) {
+        return inspect(candles, context).toExchange > 0;
+    }
+};
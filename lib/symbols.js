@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+const SYMBOL_MAP_FILE = './symbol-map.json';
+
+/**
+ * Unified market symbol from user input: "btc-usd", "BTC_USD" and "btc/usd"
+ * all give "BTC/USD". Only the last separator splits base from quote, as
+ * bases may contain dashes themselves ("1000-SATS-USD" -> "1000-SATS/USD").
+ */
+function toMarketSymbol(input) {
+    const symbol = String(input).trim().toUpperCase();
+    if (symbol.includes('/')) return symbol;
+    const split = Math.max(symbol.lastIndexOf('-'), symbol.lastIndexOf('_'));
+    return split > 0 ? `${symbol.slice(0, split)}/${symbol.slice(split + 1)}` : symbol;
+}
+
+/**
+ * SYMBOL RESOLVER
+ * Maps CoinGecko coin ids to exchange markets from the ccxt `markets`
+ * metadata (unified base/quote codes, so Kraken's XXBTZUSD is BTC/USD).
+ * For every coin the first listed spot market in `quotes` order is used.
+ *
+ * CoinGecko symbols are not unique, so a base code belongs to one coin
+ * only: the first to claim it, in market-cap order, keeps it, and later
+ * coins with the same symbol are reported as ambiguous. Claims are kept
+ * in a mapping table on disk, which makes the mapping stable across runs:
+ *   { "<coingecko id>": { symbol, base, quote, marketId, source, resolvedAt } }
+ *
+ * `overrides` fix the mapping by hand and win over the table:
+ *   { "bitcoin": "BTC/USD", "some-fork": null }   (null: never scan this id)
+ */
+function createSymbolResolver({ file = SYMBOL_MAP_FILE, overrides = {} } = {}) {
+    const load = () => {
+        if (!fs.existsSync(file)) return {};
+        try { return JSON.parse(fs.readFileSync(file)); } catch (e) { return {}; }
+    };
+    const save = (table) => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(table, null, 2));
+    };
+
+    /**
+     * Resolves `coins` ({ id, symbol, name }, largest first) against the
+     * markets quoted in `quotes`. Returns
+     *   { resolved: [{ id, symbol }], unresolved: [{ id, symbol, reason, detail }] }
+     * with reason 'override' | 'ambiguous' | 'no-market'.
+     */
+    function resolve(coins, markets, quotes) {
+        const table = load();
+        const listed = Object.values(markets).filter(m => m.spot !== false && m.active !== false && quotes.includes(m.quote));
+        const byBase = {};
+        listed.forEach(m => (byBase[m.base] = byBase[m.base] || []).push(m));
+        Object.values(byBase).forEach(ms => ms.sort((a, b) => quotes.indexOf(a.quote) - quotes.indexOf(b.quote)));
+
+        // Base codes already taken: overrides first, then earlier automatic matches
+        const owner = {};
+        Object.entries(overrides).forEach(([id, symbol]) => { if (symbol && markets[symbol]) owner[markets[symbol].base] = id; });
+        Object.entries(table).forEach(([id, entry]) => { if (!owner[entry.base]) owner[entry.base] = id; });
+
+        const resolved = [];
+        const unresolved = [];
+        const resolvedAt = new Date().toISOString();
+        let changed = false;
+
+        for (const coin of coins) {
+            const base = coin.symbol.toUpperCase();
+            const override = overrides[coin.id];
+            let market;
+
+            if (override === null) {
+                unresolved.push({ id: coin.id, symbol: base, reason: 'override', detail: 'disabled by override' });
+                continue;
+            } else if (override !== undefined) {
+                market = markets[override];
+                if (!market) {
+                    unresolved.push({ id: coin.id, symbol: base, reason: 'no-market', detail: `override ${override} is not listed` });
+                    continue;
+                }
+            } else {
+                if (owner[base] && owner[base] !== coin.id) {
+                    unresolved.push({ id: coin.id, symbol: base, reason: 'ambiguous', detail: `${base} is mapped to ${owner[base]}` });
+                    continue;
+                }
+                const previous = table[coin.id];
+                market = previous && listed.find(m => m.symbol === previous.symbol) || (byBase[base] || [])[0];
+                if (!market) {
+                    unresolved.push({ id: coin.id, symbol: base, reason: 'no-market', detail: `no ${quotes.map(q => `${base}/${q}`).join(', ')} market` });
+                    continue;
+                }
+            }
+
+            const source = override !== undefined ? 'override' : 'auto';
+            const previous = table[coin.id];
+            if (!previous || previous.symbol !== market.symbol || previous.source !== source) {
+                table[coin.id] = { symbol: market.symbol, base: market.base, quote: market.quote, marketId: market.id, source, resolvedAt };
+                changed = true;
+            }
+            owner[market.base] = coin.id;
+            resolved.push({ id: coin.id, symbol: market.symbol });
+        }
+
+        if (changed) save(table);
+        return { resolved, unresolved };
+    }
+
+    return { resolve, table: load };
+}
+
+module.exports = { SYMBOL_MAP_FILE, toMarketSymbol, createSymbolResolver };
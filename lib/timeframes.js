@@ -0,0 +1,44 @@
+const { EMA } = require('technicalindicators');
+
+const TIMEFRAME_MS = { '1m': 60e3, '5m': 300e3, '15m': 900e3, '1h': 3600e3, '4h': 14400e3, '1d': 86400e3 };
+
+// Timeframes the scoring engine works with, shortest first
+const TIMEFRAMES = ['15m', '1h', '4h', '1d'];
+
+/**
+ * The next longer scoring timeframe ('1h' -> '4h'), null for '1d'
+ */
+const higherTimeframe = (timeframe) => TIMEFRAMES[TIMEFRAMES.indexOf(timeframe) + 1] || null;
+
+/**
+ * Rolls candles up into `timeframe` buckets aligned to UTC (e.g. 1h -> 4h).
+ * The last bucket may still be forming.
+ */
+function aggregateCandles(candles, timeframe) {
+    const size = TIMEFRAME_MS[timeframe];
+    const bars = [];
+    for (const [ts, open, high, low, close, volume] of candles) {
+        const start = ts - (ts % size);
+        const last = bars[bars.length - 1];
+        if (last && last[0] === start) {
+            last[2] = Math.max(last[2], high);
+            last[3] = Math.min(last[3], low);
+            last[4] = close;
+            last[5] += volume;
+        } else {
+            bars.push([start, open, high, low, close, volume]);
+        }
+    }
+    return bars;
+}
+
+/**
+ * Default higher-timeframe confirmation: the last close is above the `period` EMA.
+ */
+function trendUp(candles, period = 20) {
+    const closes = candles.map(c => c[4]);
+    const ema = EMA.calculate({ period, values: closes });
+    return ema.length > 0 && closes[closes.length - 1] > ema[ema.length - 1];
+}
+
+module.exports = { TIMEFRAME_MS, TIMEFRAMES, higherTimeframe, aggregateCandles, trendUp };
@@ -0,0 +1,88 @@
+const { ATR } = require('technicalindicators');
+
+const DEFAULT_RISK = {
+    accountSize: 10000,    // quote currency
+    riskPerTrade: 0.01,    // share of the account lost if the stop is hit
+    maxPositionPct: 0.25,  // cap on a single position's notional
+    atrPeriod: 14,
+    stopAtr: 1.5,          // stop distance in ATRs below entry
+    takeProfitR: [1, 2, 3] // take-profit levels as multiples of the stop distance
+};
+
+const round = (n) => Number(n.toPrecision(6));
+
+/**
+ * TRADE PLAN
+ * ATR-based stop, R-multiple take-profits and a position size that loses
+ * `riskPerTrade` of the account at the stop. Returns null when there is
+ * not enough history for an ATR.
+ */
+function buildTradePlan(hourly, entry, settings = {}) {
+    const risk = { ...DEFAULT_RISK, ...settings };
+    const atr = ATR.calculate({
+        period: risk.atrPeriod,
+        high: hourly.map(c => c[2]),
+        low: hourly.map(c => c[3]),
+        close: hourly.map(c => c[4])
+    });
+    const lastAtr = atr[atr.length - 1];
+    if (!(lastAtr > 0) || !(entry > 0)) return null;
+
+    // Never let the stop reach zero on very volatile micro-caps
+    const stopDistance = Math.min(lastAtr * risk.stopAtr, entry * 0.9);
+    const stop = entry - stopDistance;
+    const takeProfits = risk.takeProfitR.map(r => entry + stopDistance * r);
+
+    const riskAmount = risk.accountSize * risk.riskPerTrade;
+    const notional = Math.min((riskAmount / stopDistance) * entry, risk.accountSize * risk.maxPositionPct);
+    const units = notional / entry;
+
+    return {
+        entry: round(entry),
+        entryAt: new Date().toISOString(),
+        atr: round(lastAtr),
+        stop: round(stop),
+        takeProfits: takeProfits.map(round),
+        riskReward: round((takeProfits[takeProfits.length - 1] - entry) / stopDistance),
+        position: {
+            units: round(units),
+            notional: Math.round(notional * 100) / 100,
+            risk: Math.round(units * stopDistance * 100) / 100
+        }
+    };
+}
+
+/**
+ * Walks the hourly candles opened after entry and reports which level was
+ * hit first. Each take-profit reached becomes the new exit level, so a
+ * trade that hits TP1 and then turns exits at TP1 rather than at the stop.
+ * When one bar spans both the exit level and a new target, the exit is
+ * assumed to have come first (we can't see inside the bar).
+ *   outcome:    'stop' | 'target' | 'open'
+ *   targetsHit: take-profit levels reached
+ *   exitPrice:  stop, last take-profit reached, or the latest close if still open
+ */
+function evaluateTradePlan(plan, candles) {
+    const after = candles.filter(c => c[0] >= Date.parse(plan.entryAt));
+    let targetsHit = 0;
+    let outcome = 'open';
+    let hitAt = null;
+    let exitPrice = after.length ? after[after.length - 1][4] : plan.entry;
+
+    for (const [ts, , high, low] of after) {
+        const exitLevel = targetsHit > 0 ? plan.takeProfits[targetsHit - 1] : plan.stop;
+        if (low <= exitLevel) {
+            if (outcome === 'open') { outcome = 'stop'; hitAt = ts; }
+            exitPrice = exitLevel;
+            break;
+        }
+        while (targetsHit < plan.takeProfits.length && high >= plan.takeProfits[targetsHit]) targetsHit++;
+        if (targetsHit > 0 && outcome === 'open') { outcome = 'target'; hitAt = ts; }
+        if (targetsHit === plan.takeProfits.length) { exitPrice = plan.takeProfits[targetsHit - 1]; break; }
+    }
+
+    const rMultiple = (exitPrice - plan.entry) / (plan.entry - plan.stop);
+    return { outcome, hitAt: hitAt && new Date(hitAt).toISOString(), targetsHit, exitPrice: round(exitPrice), rMultiple: round(rMultiple) };
+}
+
+module.exports = { DEFAULT_RISK, buildTradePlan, evaluateTradePlan };
@@ -0,0 +1,102 @@
+const { scoreText } = require('./publishers/format');
+
+const MAX_TWEET_LENGTH = 280;
+const URL_LENGTH = 23;
+
+// Code point ranges X counts as 1; everything else counts as 2 (twitter-text v3)
+const LIGHT_RANGES = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+const URL_PATTERN = /https?:\/\/[^\s]+/g;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}(?:\uFE0F|[\u{1F3FB}-\u{1F3FF}]|\u200D\p{Extended_Pictographic}\uFE0F?)*/gu;
+
+/**
+ * Length of a post as X counts it: URLs are always 23, each emoji
+ * sequence is 2 and CJK and other wide scripts are 2 per character.
+ */
+function weightedLength(text) {
+    let length = 0;
+    const withoutUrls = text.normalize('NFC').replace(URL_PATTERN, () => { length += URL_LENGTH; return ''; });
+    const withoutEmoji = withoutUrls.replace(EMOJI_PATTERN, () => { length += 2; return ''; });
+
+    for (const char of withoutEmoji) {
+        const code = char.codePointAt(0);
+        length += LIGHT_RANGES.some(([lo, hi]) => code >= lo && code <= hi) ? 1 : 2;
+    }
+    return length;
+}
+
+const fits = (text, max = MAX_TWEET_LENGTH) => weightedLength(text) <= max;
+
+/**
+ * Cuts text to fit, ending with an ellipsis.
+ */
+function truncate(text, max = MAX_TWEET_LENGTH) {
+    if (fits(text, max)) return text;
+    const chars = Array.from(text);
+    while (chars.length > 0 && !fits(chars.join('') + '…', max)) chars.pop();
+    return chars.join('').trimEnd() + '…';
+}
+
+/**
+ * Greedily packs lines into as few posts as possible. Lines that are too
+ * long on their own are split on spaces, then truncated as a last resort.
+ */
+function splitIntoTweets(text, max = MAX_TWEET_LENGTH) {
+    const pieces = [];
+    for (const line of text.split('\n')) {
+        if (fits(line, max)) { pieces.push(line); continue; }
+        let current = '';
+        for (const word of line.split(' ')) {
+            const next = current ? `${current} ${word}` : word;
+            if (fits(next, max)) { current = next; continue; }
+            if (current) pieces.push(current);
+            current = truncate(word, max);
+        }
+        if (current) pieces.push(current);
+    }
+
+    const tweets = [];
+    let current = null;
+    for (const piece of pieces) {
+        const next = current === null ? piece : `${current}\n${piece}`;
+        if (fits(next, max)) { current = next; continue; }
+        tweets.push(current.trim());
+        current = piece;
+    }
+    if (current !== null && current.trim()) tweets.push(current.trim());
+    return tweets;
+}
+
+/**
+ * Nightly picks as a thread of [{ text, pick?, part? }]. The first post lists
+ * every pick with as many triggers per line as fit; when triggers had to be
+ * dropped (or `rationale` is set) each coin gets a reply with the full list.
+ */
+function composePicksThread({ title, picks }, { max = MAX_TWEET_LENGTH, rationale = false } = {}) {
+    const header = `${title}\n\nTop ${picks.length} High-Score Signals:\n`;
+    const line = (p, i, count) => {
+        const shown = p.triggers.slice(0, count);
+        return `${i + 1}. ${p.symbol.split('/')[0]} Score: ${scoreText(p)}${shown.length ? ` - ${shown.join(', ')}` : ''}`;
+    };
+
+    const most = Math.max(0, ...picks.map(p => p.triggers.length));
+    let first = null;
+    let perLine = most;
+    for (; perLine >= 0; perLine--) {
+        const text = header + picks.map((p, i) => line(p, i, perLine)).join('\n');
+        if (fits(text, max)) { first = text; break; }
+    }
+    if (first === null) first = truncate(header + picks.map((p, i) => line(p, i, 0)).join('\n'), max);
+
+    const cut = perLine < most;
+    if (!cut && !rationale) return [{ text: first }];
+
+    const replies = picks.flatMap((p, i) => splitIntoTweets([
+        `${i + 1}/ $${p.symbol.split('/')[0]} (${p.symbol}) Score: ${scoreText(p)}`,
+        p.plan ? `Entry: ${p.plan.entry} | Stop: ${p.plan.stop} | TP: ${p.plan.takeProfits.join(' / ')}` : `Entry: ${p.priceAt5am}`,
+        `Triggers: ${p.triggers.join(', ') || 'None'}`
+    ].join('\n'), max).map((text, part) => ({ text, pick: i, part })));
+
+    return [{ text: first }, ...replies];
+}
+
+module.exports = { MAX_TWEET_LENGTH, weightedLength, fits, truncate, splitIntoTweets, composePicksThread };
@@ -0,0 +1,97 @@
+const DEFAULT_FILTERS = {
+    // 24h volume in the quote currency
+    minQuoteVolume: 100000,
+    // (ask - bid) / mid, in percent
+    maxSpreadPct: 1,
+    // Candles the strategies need: 30 daily bars (about a month listed) and 100 hourly bars
+    minDailyBars: 30,
+    minHourlyBars: 100,
+    // Bases ("BTC") or markets ("BTC/USD") always scanned / never scanned
+    include: [],
+    exclude: []
+};
+
+const matches = (list, symbol) => list.includes(symbol) || list.includes(symbol.split('/')[0]);
+
+const quoteVolume = (t) => t.quoteVolume != null ? t.quoteVolume
+    : t.baseVolume != null && t.last != null ? t.baseVolume * t.last
+    : null;
+
+const spreadPct = (t) => t.bid > 0 && t.ask > 0 ? ((t.ask - t.bid) / ((t.ask + t.bid) / 2)) * 100 : null;
+
+/**
+ * UNIVERSE BUILDER
+ * Filters the markets to scan (the resolved CoinGecko ranking, see
+ * lib/symbols.js): markets that are excluded, too thin (24h quote volume,
+ * in USD once lib/usd-prices.js converted it) or too wide (bid/ask spread)
+ * are dropped. Bases and markets named in `include` or `forced` (the
+ * --universe option) skip the liquidity checks and are added even when the
+ * ranking doesn't have them; a base gets its first market in `quotes`.
+ *
+ * Returns { symbols, dropped } where every dropped entry says why:
+ *   { symbol, reason: 'excluded' | 'no-market' | 'volume' | 'spread', detail }
+ * The candle checks run per symbol during the scan, see historyProblem().
+ */
+function buildUniverse({ markets = [], forced = [], tickers, quotes, filters = {} }) {
+    const f = { ...DEFAULT_FILTERS, ...filters };
+    const symbols = [];
+    const dropped = [];
+    const drop = (symbol, reason, detail) => dropped.push({ symbol, reason, detail });
+
+    const forcedMarkets = [...new Set([...f.include, ...forced])].map(s => {
+        if (s.includes('/')) return s;
+        const symbol = quotes.map(q => `${s}/${q}`).find(pair => tickers[pair]);
+        if (!symbol) drop(s, 'no-market', `no ${quotes.map(q => `${s}/${q}`).join(', ')} market`);
+        return symbol;
+    }).filter(Boolean);
+
+    for (const symbol of markets) {
+        if (forcedMarkets.includes(symbol)) continue;
+        if (!tickers[symbol]) {
+            drop(symbol, 'no-market', 'no ticker');
+            continue;
+        }
+        if (matches(f.exclude, symbol)) {
+            drop(symbol, 'excluded', 'on the exclude list');
+            continue;
+        }
+
+        const ticker = tickers[symbol];
+        const volume = quoteVolume(ticker);
+        const spread = spreadPct(ticker);
+        if (volume === null || volume < f.minQuoteVolume) {
+            drop(symbol, 'volume', `24h volume ${volume === null ? 'unknown' : Math.round(volume)} < ${f.minQuoteVolume}`);
+        } else if (spread !== null && spread > f.maxSpreadPct) {
+            drop(symbol, 'spread', `spread ${spread.toFixed(2)}% > ${f.maxSpreadPct}%`);
+        } else {
+            symbols.push(symbol);
+        }
+    }
+
+    for (const symbol of forcedMarkets) {
+        if (symbols.includes(symbol)) continue;
+        if (!tickers[symbol]) drop(symbol, 'no-market', 'not listed');
+        else if (matches(f.exclude, symbol)) drop(symbol, 'excluded', 'on the exclude list');
+        else symbols.push(symbol);
+    }
+
+    return { symbols, dropped };
+}
+
+/**
+ * Why a market's candles are too short to score, or null when they are
+ * long enough (new listings have fewer daily bars than the strategies read).
+ */
+function historyProblem({ ohlcv, dailyOhlcv }, filters = {}) {
+    const f = { ...DEFAULT_FILTERS, ...filters };
+    if (dailyOhlcv.length < f.minDailyBars) return `${dailyOhlcv.length} daily bars < ${f.minDailyBars}`;
+    if (ohlcv.length < f.minHourlyBars) return `${ohlcv.length} hourly bars < ${f.minHourlyBars}`;
+    return null;
+}
+
+/**
+ * Dropped symbols grouped by reason, e.g. { volume: 120, spread: 14 }
+ */
+const countByReason = (dropped) => dropped.reduce((counts, d) => ({ ...counts, [d.reason]: (counts[d.reason] || 0) + 1 }), {});
+
+module.exports = { DEFAULT_FILTERS, buildUniverse, historyProblem, countByReason };
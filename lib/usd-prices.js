@@ -0,0 +1,79 @@
+const ccxt = require('ccxt');
+
+// Quote currencies taken as USD without conversion
+const USD_QUOTES = ['USD', 'USDT', 'USDC'];
+
+const PRICE_FIELDS = ['last', 'bid', 'ask', 'open', 'high', 'low', 'close', 'vwap', 'previousClose', 'quoteVolume'];
+
+/**
+ * USD PRICES
+ * Wraps the market data layer so every price it returns is in USD, which
+ * keeps BTC-quoted markets (ETH/BTC) comparable with USD ones in the
+ * ranking and in the performance math. Tickers and candles of a market
+ * quoted in another currency are multiplied by that currency's USD rate
+ * (<QUOTE>/USD, else <QUOTE>/USDT): tickers by the rate's last price,
+ * candles by the close of the rate's candle with the same timestamp (or
+ * the latest one before it). Converted tickers carry `quote` and `rate`.
+ * Markets without a rate are left out of fetchTickers and throw elsewhere.
+ */
+function withUsdPrices(market, { usdQuotes = USD_QUOTES } = {}) {
+    const quoteOf = (symbol) => symbol.split('/')[1];
+    const needsRate = (symbol) => !usdQuotes.includes(quoteOf(symbol));
+    const rateSymbols = (quote) => [`${quote}/USD`, `${quote}/USDT`];
+
+    const convertTicker = (ticker, rate) => {
+        const converted = { ...ticker, quote: quoteOf(ticker.symbol), rate };
+        PRICE_FIELDS.forEach(field => { if (typeof ticker[field] === 'number') converted[field] = ticker[field] * rate; });
+        return converted;
+    };
+
+    async function rateSymbol(symbol) {
+        const markets = await market.loadMarkets();
+        const found = rateSymbols(quoteOf(symbol)).find(s => markets[s]);
+        if (!found) throw new ccxt.BadSymbol(`No USD rate for ${symbol} (tried ${rateSymbols(quoteOf(symbol)).join(', ')})`);
+        return found;
+    }
+
+    return {
+        ...market,
+
+        async fetchTickers() {
+            const tickers = await market.fetchTickers();
+            const unpriced = [];
+            for (const symbol of Object.keys(tickers).filter(needsRate)) {
+                const rate = rateSymbols(quoteOf(symbol)).map(s => tickers[s]).find(t => t && t.last > 0);
+                if (rate) tickers[symbol] = convertTicker(tickers[symbol], rate.last);
+                else {
+                    unpriced.push(symbol);
+                    delete tickers[symbol];
+                }
+            }
+            if (unpriced.length) console.log(`[Market] No USD rate for ${unpriced.length} market(s), e.g. ${unpriced.slice(0, 3).join(', ')}; skipped.`);
+            return tickers;
+        },
+
+        async fetchTicker(symbol) {
+            const ticker = await market.fetchTicker(symbol);
+            if (!needsRate(symbol)) return ticker;
+            const rate = await market.fetchTicker(await rateSymbol(symbol));
+            return convertTicker(ticker, rate.last);
+        },
+
+        async fetchOHLCV(symbol, timeframe, since, limit) {
+            const rows = await market.fetchOHLCV(symbol, timeframe, since, limit);
+            if (!needsRate(symbol) || rows.length === 0) return rows;
+
+            // Enough rate candles to cover the first row, whatever `limit` was
+            const rates = await market.fetchOHLCV(await rateSymbol(symbol), timeframe, rows[0][0], limit ? limit + 1 : undefined);
+            let i = 0;
+            return rows.map(([ts, open, high, low, close, volume]) => {
+                while (i + 1 < rates.length && rates[i + 1][0] <= ts) i++;
+                if (!rates[i] || rates[i][0] > ts) return null;
+                const rate = rates[i][4];
+                return [ts, open * rate, high * rate, low * rate, close * rate, volume];
+            }).filter(Boolean);
+        }
+    };
+}
+
+module.exports = { USD_QUOTES, withUsdPrices };
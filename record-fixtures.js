@@ -0,0 +1,32 @@
+const { createMarketData } = require('./lib/market-data');
+const { recordFixtures } = require('./lib/mock-exchange');
+const { loadConfig } = require('./lib/config');
+const { parseArgs } = require('./lib/args');
+
+/**
+ * FIXTURE RECORDER
+ * Captures tickers, candles and funding for a few symbols from the
+ * configured venues so the "mock" exchange can replay them offline.
+ *
+ * Usage: node record-fixtures.js [--out ./test/fixtures/exchange] BTC/USD ETH/USD ...
+ */
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const config = loadConfig();
+    const dir = args.out === undefined ? config.mockFixtures : args.out;
+
+    if (args._.length === 0 || typeof dir !== 'string') {
+        console.log("Usage: node record-fixtures.js [--out dir] SYMBOL [SYMBOL...]");
+        process.exit(1);
+    }
+
+    const recorded = await recordFixtures(createMarketData(config), args._, dir);
+    console.log(`[Fixtures] Recorded ${recorded.length} symbols to ${dir}: ${recorded.join(', ')}`);
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error("[Fixtures] Recording failed:", err.message);
+        process.exit(1);
+    });
+}
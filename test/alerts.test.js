@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAlertMonitor } = require('../lib/alerts');
+const { createHistoryStore } = require('../lib/history');
+const { tempDir, quiet } = require('./harness');
+
+const MINUTE = 60 * 1000;
+const SCANNED_AT = Date.parse('2026-10-16T08:00:00Z');
+const SCAN_ID = new Date(SCANNED_AT).toISOString();
+
+/**
+ * Monitor over two picks entered at 100 whose prices the test sets, with a
+ * history in a temp dir. `sent` collects what was notified.
+ */
+function setup(t, settings = {}) {
+    quiet(t);
+    const dir = tempDir(t);
+    const prices = { 'SOL/USD': 100, 'ETH/USD': 100 };
+    const sent = [];
+    const create = () => createAlertMonitor({
+        market: { fetchTicker: async (symbol) => ({ last: prices[symbol] }) },
+        history: createHistoryStore(dir),
+        loadPicks: () => ({
+            scanId: SCAN_ID,
+            scannedAt: SCAN_ID,
+            picks: [{ symbol: 'SOL/USD', priceAt5am: 100 }, { symbol: 'ETH/USD', priceAt5am: 100 }]
+        }),
+        notify: async (alert) => sent.push(alert),
+        settings: { cooldown: 30 * MINUTE, ...settings }
+    });
+    return { prices, sent, create };
+}
+
+const at = (minutes) => SCANNED_AT + minutes * MINUTE;
+const summary = (alerts) => alerts.map(a => `${a.symbol} ${a.type} ${a.level}`);
+
+test('each gain level fires once per scan, and a jump past +10% settles +5%', async (t) => {
+    const { prices, sent, create } = setup(t);
+    const monitor = create();
+
+    prices['SOL/USD'] = 106;
+    assert.deepEqual(summary(await monitor.check(at(10))), ['SOL/USD gain 5']);
+    assert.deepEqual(await monitor.check(at(60)), []);
+
+    prices['SOL/USD'] = 111;
+    prices['ETH/USD'] = 112;
+    assert.deepEqual(summary(await monitor.check(at(120))), ['SOL/USD gain 10', 'ETH/USD gain 10']);
+
+    prices['ETH/USD'] = 107;
+    assert.deepEqual(await monitor.check(at(180)), []);
+    assert.equal(sent.length, 3);
+});
+
+test('the cooldown holds an alert back until a later check', async (t) => {
+    const { prices, create } = setup(t);
+    const monitor = create();
+
+    prices['SOL/USD'] = 106;
+    await monitor.check(at(10));
+
+    prices['SOL/USD'] = 94;
+    assert.deepEqual(await monitor.check(at(20)), []);
+    assert.deepEqual(summary(await monitor.check(at(41))), ['SOL/USD drop 5']);
+});
+
+test('sent alerts survive a restart through the history', async (t) => {
+    const { prices, create } = setup(t, { cooldown: 0 });
+    prices['SOL/USD'] = 106;
+    await create().check(at(10));
+
+    assert.deepEqual(await create().check(at(20)), []);
+});
+
+test('picks older than maxAge are not watched', async (t) => {
+    const { prices, create } = setup(t);
+    prices['SOL/USD'] = 120;
+
+    assert.deepEqual(await create().check(at(25 * 60)), []);
+});
+
+test('the latest scan is only read when a rescan is due', async (t) => {
+    quiet(t);
+    const history = createHistoryStore(tempDir(t));
+    history.appendScan({ scannedAt: SCAN_ID, candidates: [{ symbol: 'SOL/USD' }, { symbol: 'LINK/USD' }], top: [] });
+    const reads = t.mock.method(history, 'latestScan');
+    const monitor = createAlertMonitor({
+        market: { fetchTicker: async () => ({ last: 100 }) },
+        history,
+        loadPicks: () => ({ scanId: SCAN_ID, scannedAt: SCAN_ID, picks: [{ symbol: 'SOL/USD', priceAt5am: 100 }] }),
+        rescore: async (symbols) => symbols.map(symbol => ({ symbol, priceAt5am: 100, score: 1 })),
+        notify: async () => {},
+        settings: { rescanEvery: 60 * MINUTE, top: 2 }
+    });
+
+    assert.deepEqual(summary(await monitor.check(at(10))), ['LINK/USD new-top 2']);
+    await monitor.check(at(20));
+    await monitor.check(at(40));
+    assert.equal(reads.mock.callCount(), 1);
+    await monitor.check(at(70));
+    assert.equal(reads.mock.callCount(), 2);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ccxt = require('ccxt');
+const { createMarketData } = require('../lib/market-data');
+const { tempDir } = require('./harness');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-16T00:00:00Z');
+
+/**
+ * Daily candles up to NOW as a venue would serve them, priced off `base`
+ * so the test can tell the venues apart. `calls` records (since, limit).
+ */
+function serve(t, exchangeClass, base, calls) {
+    t.mock.method(exchangeClass.prototype, 'loadMarkets', async () => ({ 'BTC/USD': {} }));
+    t.mock.method(exchangeClass.prototype, 'fetchOHLCV', async (symbol, timeframe, since, limit) => {
+        calls.push([since, limit]);
+        const bars = Array.from({ length: 200 }, (_, i) => NOW - (199 - i) * DAY).map(ts => [ts, base, base, base, base, 1]);
+        return since === undefined ? bars.slice(-limit) : bars.filter(b => b[0] >= since).slice(0, limit);
+    });
+}
+
+test('a cached series shorter than the request is refetched in full', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const dir = tempDir(t);
+    const calls = [];
+    serve(t, ccxt.kraken, 100, calls);
+    const market = createMarketData({ exchanges: ['kraken'], rateLimits: { kraken: 1 }, candleCache: { dir } });
+
+    assert.equal((await market.fetchOHLCV('BTC/USD', '1d', undefined, 30)).length, 30);
+    assert.equal((await market.fetchOHLCV('BTC/USD', '1d', undefined, 60)).length, 60);
+    // Once it holds enough, only the newest bar is asked for again
+    assert.equal((await market.fetchOHLCV('BTC/USD', '1d', undefined, 40)).length, 40);
+    assert.deepEqual(calls, [[undefined, 30], [undefined, 60], [NOW, 1]]);
+});
+
+test('each venue keeps its own cached candles', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const dir = tempDir(t);
+    serve(t, ccxt.kraken, 100, []);
+    serve(t, ccxt.coinbase, 101, []);
+
+    const close = async (id) => {
+        const market = createMarketData({ exchanges: [id], rateLimits: { [id]: 1 }, candleCache: { dir } });
+        const candles = await market.fetchOHLCV('BTC/USD', '1d', undefined, 30);
+        return candles[candles.length - 1][4];
+    };
+
+    assert.equal(await close('kraken'), 100);
+    assert.equal(await close('coinbase'), 101);
+    assert.ok(fs.existsSync(path.join(dir, 'kraken', 'BTC_USD.1d.json')));
+    assert.ok(fs.existsSync(path.join(dir, 'coinbase', 'BTC_USD.1d.json')));
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { createRegistry } = require('../lib/strategies');
+const { tempDir } = require('./harness');
+
+const load = (t, fromFile) => {
+    const file = path.join(tempDir(t), 'config.json');
+    fs.writeFileSync(file, JSON.stringify(fromFile));
+    return loadConfig({ file, env: {} });
+};
+
+test('the default mock fixtures are the recorded test fixtures', (t) => {
+    const config = load(t, {});
+    assert.ok(fs.existsSync(path.join(config.mockFixtures, 'tickers.json')));
+});
+
+test('counts that must not be zero are rejected at 0', (t) => {
+    assert.throws(() => load(t, { scan: { top: 0 } }), /scan\.top: expected positive, got 0/);
+    assert.throws(() => load(t, { regime: { slow: 0 } }), /regime\.slow: expected positive, got 0/);
+    assert.equal(load(t, { scan: { top: 3, resumeWithin: 0 } }).scan.top, 3);
+});
+
+test('skipping 4h candles is rejected while hourly strategies confirm on them', (t) => {
+    assert.throws(() => load(t, { scan: { timeframes: { '4h': 0 } } }), /scan\.timeframes\.4h: 0 leaves .*ema-cross.* without confirmation/);
+
+    const unconfirmed = Object.fromEntries(createRegistry().filter(s => s.confirm).map(s => [s.name, { confirm: false }]));
+    assert.equal(load(t, { scan: { timeframes: { '4h': 0 } }, strategies: unconfirmed }).scan.timeframes['4h'], 0);
+});
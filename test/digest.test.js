@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDigest } = require('../lib/digest');
+
+const scan = (scannedAt, symbol, source) => ({ scanId: scannedAt, scannedAt, top: [symbol], ...(source && { source }) });
+const outcome = (scanId, symbol, change) => ({ scanId, symbol, horizon: '24h', entry: 100, price: 100 + change, change });
+
+test('a one-off CLI scan does not replace the scheduled scan of its day', () => {
+    const scans = [
+        scan('2026-10-12T08:00:00.000Z', 'SOL/USD'),
+        scan('2026-10-13T08:00:00.000Z', 'ETH/USD', 'scheduled'),
+        scan('2026-10-13T15:00:00.000Z', 'PEPE/USD', 'cli')
+    ];
+    const outcomes = [
+        outcome(scans[0].scanId, 'SOL/USD', 10),
+        outcome(scans[1].scanId, 'ETH/USD', -5),
+        outcome(scans[2].scanId, 'PEPE/USD', 50)
+    ];
+
+    const digest = buildDigest({ until: Date.parse('2026-10-16T00:00:00Z'), scans, outcomes });
+
+    assert.deepEqual(digest.calls.map(c => c.symbol), ['SOL/USD', 'ETH/USD']);
+    assert.equal(digest.returnPct, 4.5);
+});
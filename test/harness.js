@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { loadConfig } = require('../lib/config');
+const { createBot } = require('../lib/bot');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Candle and ticker fixtures end here (exchange/) and one day later (exchange-next-day/)
+const SCAN_AT = Date.parse('2026-10-16T08:00:00Z');
+const NEXT_DAY = SCAN_AT + 24 * 60 * 60 * 1000;
+
+const readFixture = (file) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file)));
+
+/**
+ * Local stand-in for the external APIs: GET /<source> answers with
+ * fixtures/sources/<source>.json. `responses` replaces single sources;
+ * a number is sent as an error status, anything else as the JSON body.
+ */
+function startSourceServer(responses = {}) {
+    const hits = {};
+    const server = http.createServer((req, res) => {
+        const name = new URL(req.url, 'http://localhost').pathname.slice(1);
+        hits[name] = (hits[name] || 0) + 1;
+        const body = name in responses ? responses[name] : readFixture(`sources/${name}.json`);
+        if (typeof body === 'number') {
+            res.writeHead(body);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        hits,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+/**
+ * twitter-api-v2 client double. `posts` holds one entry per tweet() or
+ * tweetThread() call, as the list of posts sent; `uploads` the media.
+ */
+function createTwitterFake() {
+    const posts = [];
+    const uploads = [];
+    return {
+        posts,
+        uploads,
+        v2: {
+            me: async () => ({ data: { username: 'dailymovers' } }),
+            uploadMedia: async (buffer, options) => {
+                uploads.push({ buffer, ...options });
+                return `media-${uploads.length}`;
+            },
+            tweet: async (post) => {
+                posts.push([post]);
+                return { data: { id: String(posts.length) } };
+            },
+            tweetThread: async (thread) => {
+                posts.push(thread);
+                return thread.map((post, i) => ({ data: { id: `${posts.length}-${i}` } }));
+            }
+        }
+    };
+}
+
+/**
+ * Temp directory for one test's picks, history, caches and config, removed after it
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dailymovers-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Bot running on the fixtures: the mock exchange replays fixtures/<exchange>,
+ * the sources come from `sourcesUrl`, every file it writes goes to `dir`
+ * and X is `twitterClient`. `settings` is applied like a config.json profile.
+ * The shell environment is ignored so a local .env can't leak in.
+ */
+function createTestBot({ dir, sourcesUrl, twitterClient, exchange = 'exchange', settings = {} }) {
+    const source = (name) => ({ url: `${sourcesUrl}/${name}` });
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({
+        storageFile: path.join(dir, 'master_picks.json'),
+        historyDir: path.join(dir, 'history'),
+        server: { enabled: false },
+        exchanges: ['mock'],
+        mockFixtures: path.join(FIXTURES_DIR, exchange),
+        candleCache: { dir: path.join(dir, 'cache', 'candles') },
+        scan: { checkpointFile: path.join(dir, 'cache', 'scan-checkpoint.json') },
+        universe: { coingeckoPages: 1 },
+        sources: {
+            timeout: 2000,
+            retries: 0,
+            retryDelay: 0,
+            cacheDir: path.join(dir, 'cache', 'sources'),
+            defillama: source('defillama'),
+            coingecko: source('coingecko'),
+            fearGreed: source('fear-greed'),
+            lunarcrush: source('lunarcrush'),
+            whaleAlert: source('whale-alert')
+        },
+        symbols: { file: path.join(dir, 'symbol-map.json') },
+        alerts: { enabled: false },
+        profiles: { test: settings }
+    }));
+    return createBot({ config: loadConfig({ file, profile: 'test', env: {} }), twitterClient });
+}
+
+/**
+ * Silences the bot's console output for the rest of the test
+ */
+function quiet(t) {
+    ['log', 'table', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+}
+
+const readJsonLines = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+module.exports = {
+    FIXTURES_DIR,
+    SCAN_AT,
+    NEXT_DAY,
+    readFixture,
+    startSourceServer,
+    createTwitterFake,
+    tempDir,
+    createTestBot,
+    quiet,
+    readJsonLines
+};
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { readLastLine, createHistoryStore } = require('../lib/history');
+const { tempDir } = require('./harness');
+
+test('readLastLine returns the newest intact record across chunk boundaries', (t) => {
+    const file = path.join(tempDir(t), 'scans.jsonl');
+    assert.equal(readLastLine(file), null);
+
+    const records = [{ n: 1, note: 'é'.repeat(20) }, { n: 2, note: '比特币'.repeat(10) }];
+    fs.writeFileSync(file, records.map(r => JSON.stringify(r)).join('\n') + '\n{"n": 3, "cut off');
+
+    // A tiny chunk splits lines and multi-byte characters
+    assert.deepEqual(readLastLine(file, 7), records[1]);
+    assert.deepEqual(readLastLine(file), records[1]);
+
+    fs.writeFileSync(file, JSON.stringify(records[0]));
+    assert.deepEqual(readLastLine(file, 5), records[0]);
+});
+
+test('latestScan follows scans appended by this and other processes', (t) => {
+    const dir = tempDir(t);
+    const store = createHistoryStore(dir);
+    const other = createHistoryStore(dir);
+    assert.equal(store.latestScan(), null);
+
+    store.appendScan({ scannedAt: '2026-10-16T08:00:00Z', candidates: [], top: [] });
+    assert.equal(store.latestScan().scanId, '2026-10-16T08:00:00.000Z');
+
+    other.appendScan({ scannedAt: '2026-10-17T08:00:00Z', candidates: [], top: [] });
+    assert.equal(store.latestScan().scanId, '2026-10-17T08:00:00.000Z');
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createPaperTrader } = require('../lib/paper-trading');
+const { tempDir, quiet, readJsonLines } = require('./harness');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2026-10-16T00:00:00Z');
+
+// Hourly bars from START, one per close, with a 1% range around it
+const bars = (closes) => closes.map((close, i) => [START + i * HOUR, close, close * 1.01, close * 0.99, close, 100]);
+
+test('summary reports the latest update of the day, not the first', async (t) => {
+    quiet(t);
+    const dir = tempDir(t);
+    let candles = bars([100, 100, 100, 100]);
+    const market = { fetchOHLCV: async () => candles };
+    const paper = createPaperTrader({ market, dir, settings: { fee: 0, slippage: 0, stop: false, target: 0 } });
+
+    paper.open([{ symbol: 'SOL/USD' }], { scanId: new Date(START).toISOString() });
+    await paper.update(START + 4 * HOUR);
+    assert.equal(paper.summary(START + 4 * HOUR).equity, 10000);
+
+    candles = bars([100, 100, 100, 100, 110, 110, 110, 110]);
+    await paper.update(START + 8 * HOUR);
+
+    // 20% of the account rose 10%
+    assert.deepEqual(paper.readEquity().map(e => e.equity), [10200]);
+    assert.equal(paper.summary(START + 8 * HOUR).equity, 10200);
+    assert.equal(paper.summary(START + 8 * HOUR).returnPct, 2);
+    // A summary for earlier that day still sees the earlier snapshot
+    assert.equal(paper.summary(START + 4 * HOUR).equity, 10000);
+    assert.equal(readJsonLines(path.join(dir, 'equity.jsonl')).length, 2);
+});
@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { SCAN_AT, NEXT_DAY, startSourceServer, createTwitterFake, tempDir, createTestBot, quiet, readJsonLines } = require('./harness');
+
+const SCAN_ID = new Date(SCAN_AT).toISOString();
+
+/**
+ * Runs the morning scan on the scan-day fixtures (not posted), then returns
+ * a bot on the next day's fixtures sharing its files, with the clock moved
+ * to 24h after the scan
+ */
+async function scanThenNextDay(t) {
+    quiet(t);
+    t.mock.timers.enable({ apis: ['Date'], now: SCAN_AT });
+    const server = await startSourceServer();
+    t.after(() => server.close());
+    const dir = tempDir(t);
+    const twitter = createTwitterFake();
+
+    await createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter }).getUnifiedPicks({ post: false });
+    t.mock.timers.setTime(NEXT_DAY);
+    const bot = createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter, exchange: 'exchange-next-day' });
+    return { bot, dir, twitter };
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+test('reportPerformance compares the stored picks with the next day and posts the report', async (t) => {
+    const { bot, dir, twitter } = await scanThenNextDay(t);
+
+    const report = await bot.reportPerformance();
+
+    assert.deepEqual(report.results.map(r => [r.symbol, r.priceAt5am, r.price, round(r.change)]), [
+        ['DOGE/USD', 0.221044, 0.19947, -9.76],
+        ['LINK/USD', 30.9846, 30.0235, -3.1],
+        ['SOL/USD', 243.104, 263.929, 8.57],
+        ['ETH/USD', 3114.31, 3120.13, 0.19],
+        ['BTC/USD', 114765, 114237, -0.46]
+    ]);
+    assert.deepEqual(report.results.map(r => r.planResult), [
+        { outcome: 'stop', hitAt: '2026-10-16T10:00:00.000Z', targetsHit: 0, exitPrice: 0.218489, rMultiple: -1 },
+        { outcome: 'stop', hitAt: '2026-10-16T17:00:00.000Z', targetsHit: 0, exitPrice: 30.6723, rMultiple: -1 },
+        { outcome: 'target', hitAt: '2026-10-16T10:00:00.000Z', targetsHit: 3, exitPrice: 248.618, rMultiple: 3 },
+        { outcome: 'stop', hitAt: '2026-10-16T15:00:00.000Z', targetsHit: 0, exitPrice: 3088.91, rMultiple: -1 },
+        { outcome: 'target', hitAt: '2026-10-16T14:00:00.000Z', targetsHit: 1, exitPrice: 115466, rMultiple: 1 }
+    ]);
+    assert.deepEqual({ ...report.trackRecord, avgReturn: round(report.trackRecord.avgReturn) }, {
+        horizon: '24h', days: 30, picks: 5, winRate: 40, hitRate: 0, avgReturn: -0.91
+    });
+    assert.deepEqual(report.paper, {
+        startingCash: 10000, equity: 9895.97, returnPct: -1.04, maxDrawdownPct: 1.04, drawdownPct: 1.04,
+        sharpe: null, turnover: 1, days: 1, trades: 5, winRate: 20, fees: 51.86, open: []
+    });
+
+    // The 1h, 4h and 24h outcomes of every pick are due; 7d is not
+    const outcomes = readJsonLines(path.join(dir, 'history', 'outcomes.jsonl'));
+    assert.equal(outcomes.length, 15);
+    assert.deepEqual(outcomes.filter(o => o.horizon === '24h').map(o => [o.scanId, o.symbol, o.price]), [
+        [SCAN_ID, 'DOGE/USD', 0.19947],
+        [SCAN_ID, 'LINK/USD', 30.0235],
+        [SCAN_ID, 'SOL/USD', 263.929],
+        [SCAN_ID, 'ETH/USD', 3120.13],
+        [SCAN_ID, 'BTC/USD', 114237]
+    ]);
+
+    const trades = readJsonLines(path.join(dir, 'history', 'paper', 'trades.jsonl'));
+    assert.deepEqual(trades.map(tr => [tr.symbol, tr.reason]), [
+        ['DOGE/USD', 'stop'], ['LINK/USD', 'stop'], ['SOL/USD', 'target'], ['ETH/USD', 'stop'], ['BTC/USD', 'target']
+    ]);
+    // The paper trades and the reported plan results tell the same story: a target is a gain, a stop a loss
+    trades.forEach((trade, i) => {
+        const { planResult } = report.results[i];
+        assert.equal(trade.reason, planResult.outcome, trade.symbol);
+        assert.equal(planResult.rMultiple > 0, planResult.outcome === 'target', trade.symbol);
+    });
+
+    assert.deepEqual(twitter.posts, [[{
+        text: [
+            '📊 Daily Comparison Report 📊',
+            '',
+            '🛑 #DOGE: -9.76%',
+            '🛑 #LINK: -3.10%',
+            '🎯 #SOL: +8.57%',
+            '🛑 #ETH: +0.19%',
+            '🎯 #BTC: -0.46%',
+            '',
+            '30d Track Record: 40% green after 24h (5 picks)',
+            '',
+            'Paper portfolio: -1.04% | Max DD 1.0% | Sharpe n/a | 5 trades',
+            '',
+            '#PerformanceReview #CryptoResults'
+        ].join('\n')
+    }]]);
+});
+
+test('reportPerformance for a date re-runs that scan from the history', async (t) => {
+    const { bot, twitter } = await scanThenNextDay(t);
+
+    const report = await bot.reportPerformance({ date: '2026-10-16', post: false });
+
+    assert.deepEqual(report.results.map(r => [r.symbol, r.price, r.planResult.outcome]), [
+        ['DOGE/USD', 0.19947, 'stop'],
+        ['LINK/USD', 30.0235, 'stop'],
+        ['SOL/USD', 263.929, 'target'],
+        ['ETH/USD', 3120.13, 'stop'],
+        ['BTC/USD', 114237, 'target']
+    ]);
+    assert.deepEqual(twitter.posts, []);
+
+    assert.equal(await bot.reportPerformance({ date: '2026-10-15' }), null);
+    assert.deepEqual(twitter.posts, []);
+});
+
+test('reportPerformance without stored picks reports nothing', async (t) => {
+    quiet(t);
+    const server = await startSourceServer();
+    t.after(() => server.close());
+    const dir = tempDir(t);
+    const twitter = createTwitterFake();
+    const bot = createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter, exchange: 'exchange-next-day' });
+
+    assert.equal(await bot.reportPerformance(), null);
+    assert.equal(fs.existsSync(path.join(dir, 'history')), false);
+    assert.deepEqual(twitter.posts, []);
+});
+
+test('reportPerformance skips picks whose market is gone and reports the rest', async (t) => {
+    const { bot, dir, twitter } = await scanThenNextDay(t);
+
+    // A delisted market in the stored picks fails on its own
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, 'master_picks.json')));
+    fs.writeFileSync(path.join(dir, 'master_picks.json'), JSON.stringify([{ ...stored[0], symbol: 'LUNA/USD' }, stored[2]]));
+
+    const report = await bot.reportPerformance();
+
+    assert.deepEqual(report.results.map(r => r.symbol), ['SOL/USD']);
+    assert.equal(twitter.posts.length, 1);
+    assert.match(twitter.posts[0][0].text, /^📊 Daily Comparison Report 📊\n\n🎯 #SOL: \+8\.57%\n\n30d Track Record/);
+});
+
+test('reportPerformance prices legacy picks without a trade plan from the ticker', async (t) => {
+    const { bot, dir } = await scanThenNextDay(t);
+
+    // master_picks.json as written before trade plans were added
+    fs.writeFileSync(path.join(dir, 'master_picks.json'), JSON.stringify([{ symbol: 'SOL/USD', score: 21, priceAt5am: 243.104 }]));
+
+    const report = await bot.reportPerformance({ post: false });
+
+    assert.deepEqual(report.results.map(r => [r.symbol, r.price, round(r.change), r.planResult]), [['SOL/USD', 263.929, 8.57, null]]);
+});
@@ -0,0 +1,253 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { SCAN_AT, startSourceServer, createTwitterFake, tempDir, createTestBot, quiet, readJsonLines } = require('./harness');
+
+const SCAN_ID = new Date(SCAN_AT).toISOString();
+const ALL_SOURCES_DOWN = { defillama: 500, coingecko: 500, 'fear-greed': 500, lunarcrush: 500, 'whale-alert': 500 };
+
+/**
+ * Sources server, temp dir and X double for one test, frozen at the scan time
+ */
+async function setup(t, responses) {
+    quiet(t);
+    t.mock.timers.enable({ apis: ['Date'], now: SCAN_AT });
+    const server = await startSourceServer(responses);
+    t.after(() => server.close());
+    return { server, dir: tempDir(t), twitter: createTwitterFake() };
+}
+
+test('getUnifiedPicks ranks the fixture universe, stores the picks and posts the thread', async (t) => {
+    const { server, dir, twitter } = await setup(t);
+    const bot = createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter });
+
+    const result = await bot.getUnifiedPicks();
+
+    assert.deepEqual(result.top.map(p => [p.symbol, p.score, p.rawScore]), [
+        ['DOGE/USD', 15.92, 23],
+        ['LINK/USD', 11.28, 22.75],
+        ['SOL/USD', 8.22, 21.25],
+        ['ETH/USD', -7.71, 13],
+        ['BTC/USD', -27.71, 5]
+    ]);
+    assert.deepEqual(result.top[0].triggers, ['Rounding Bottom', 'EMA Cross', 'Social: Galaxy Score 81', 'Market Extreme Fear', 'ADX Strong Trend']);
+    assert.deepEqual(result.top[1].triggers, ['EMA Cross', 'Volatility Squeeze', 'Whale Activity Detected', 'Market Extreme Fear', 'ADX Strong Trend']);
+    assert.deepEqual(result.top[2].triggers, ['PSAR Flip', 'Volatility Squeeze', 'Market Extreme Fear', 'ADX Strong Trend']);
+    // Without a 4h uptrend the hourly squeeze and EMA cross don't count for ETH and BTC
+    assert.deepEqual(result.top[3].triggers, ['Short Squeeze potential', 'Market Extreme Fear']);
+    assert.deepEqual(result.top[4].triggers, ['Market Extreme Fear']);
+    assert.deepEqual(result.top[0].plan, {
+        entry: 0.221044,
+        entryAt: SCAN_ID,
+        atr: 0.00170319,
+        stop: 0.218489,
+        takeProfits: [0.223599, 0.226154, 0.228708],
+        riskReward: 3,
+        position: { units: 11310, notional: 2500, risk: 28.89 }
+    });
+    assert.equal(result.regime.regime, 'chop');
+
+    // Tether is a stablecoin, WBTC has no market, ADA is too thin and PEPE too new
+    assert.deepEqual(result.dropped, [
+        { symbol: 'WBTC', id: 'wrapped-bitcoin', reason: 'no-market', detail: 'no WBTC/USD, WBTC/USDT, WBTC/BTC market' },
+        { symbol: 'ADA/USD', reason: 'volume', detail: '24h volume 392 < 100000' },
+        { symbol: 'PEPE/USD', reason: 'history', detail: '13 daily bars < 30' }
+    ]);
+
+    // master_picks.json holds the top picks tagged with the scan
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, 'master_picks.json')));
+    assert.deepEqual(stored, JSON.parse(JSON.stringify(result.top.map(p => ({ ...p, scanId: SCAN_ID })))));
+
+    const scans = readJsonLines(path.join(dir, 'history', 'scans.jsonl'));
+    assert.equal(scans.length, 1);
+    assert.equal(scans[0].scanId, SCAN_ID);
+    assert.deepEqual(scans[0].top, ['DOGE/USD', 'LINK/USD', 'SOL/USD', 'ETH/USD', 'BTC/USD']);
+    assert.deepEqual(scans[0].candidates.map(c => c.symbol), scans[0].top);
+    assert.deepEqual(scans[0].dropped, result.dropped);
+
+    const portfolio = JSON.parse(fs.readFileSync(path.join(dir, 'history', 'paper', 'portfolio.json')));
+    assert.equal(portfolio.cash, 10000);
+    assert.deepEqual(portfolio.positions.map(p => [p.symbol, p.status, p.stop, p.target]), [
+        ['DOGE/USD', 'pending', 0.218489, 0.223599],
+        ['LINK/USD', 'pending', 30.6723, 31.2969],
+        ['SOL/USD', 'pending', 241.266, 244.942],
+        ['ETH/USD', 'pending', 3088.91, 3139.71],
+        ['BTC/USD', 'pending', 114064, 115466]
+    ]);
+
+    const symbolMap = JSON.parse(fs.readFileSync(path.join(dir, 'symbol-map.json')));
+    assert.deepEqual(Object.entries(symbolMap).map(([id, entry]) => [id, entry.symbol]), [
+        ['bitcoin', 'BTC/USD'], ['ethereum', 'ETH/USD'], ['solana', 'SOL/USD'], ['dogecoin', 'DOGE/USD'],
+        ['cardano', 'ADA/USD'], ['chainlink', 'LINK/USD'], ['pepe', 'PEPE/USD']
+    ]);
+
+    // One thread: the summary, then a rationale reply with a chart per pick
+    assert.equal(twitter.posts.length, 1);
+    const thread = twitter.posts[0];
+    assert.equal(thread.length, 6);
+    assert.equal(thread[0].text, [
+        'Nightly Crypto Scan (Oct 16)',
+        '',
+        'Top 5 High-Score Signals:',
+        '1. DOGE Score: 23 - Rounding Bottom',
+        '2. LINK Score: 22.75 - EMA Cross',
+        '3. SOL Score: 21.25 - PSAR Flip',
+        '4. ETH Score: 13 - Short Squeeze potential',
+        '5. BTC Score: 5 - Market Extreme Fear'
+    ].join('\n'));
+    assert.equal(thread[1].text, [
+        '1/ $DOGE (DOGE/USD) Score: 23',
+        'Entry: 0.221044 | Stop: 0.218489 | TP: 0.223599 / 0.226154 / 0.228708',
+        'Triggers: Rounding Bottom, EMA Cross, Social: Galaxy Score 81, Market Extreme Fear, ADX Strong Trend'
+    ].join('\n'));
+    assert.equal(thread[5].text, [
+        '5/ $BTC (BTC/USD) Score: 5',
+        'Entry: 114765 | Stop: 114064 | TP: 115466 / 116166 / 116867',
+        'Triggers: Market Extreme Fear'
+    ].join('\n'));
+    assert.deepEqual(thread.slice(1).map(p => p.media.media_ids), [['media-1'], ['media-2'], ['media-3'], ['media-4'], ['media-5']]);
+    assert.equal(twitter.uploads.length, 5);
+    twitter.uploads.forEach(u => {
+        assert.equal(u.media_type, 'image/png');
+        assert.deepEqual([...u.buffer.subarray(0, 4)], [0x89, 0x50, 0x4e, 0x47]);
+    });
+
+    // Every source answered from the fixtures once
+    assert.deepEqual(server.hits, { defillama: 1, coingecko: 1, 'fear-greed': 1, lunarcrush: 1, 'whale-alert': 1 });
+});
+
+test('getUnifiedPicks without post and save leaves no files and posts nothing', async (t) => {
+    const { server, dir, twitter } = await setup(t);
+    const bot = createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter });
+
+    const result = await bot.getUnifiedPicks({ post: false, save: false, top: 2 });
+
+    assert.deepEqual(result.top.map(p => p.symbol), ['DOGE/USD', 'LINK/USD']);
+    assert.equal(result.ranked.length, 5);
+    assert.equal(fs.existsSync(path.join(dir, 'master_picks.json')), false);
+    assert.equal(fs.existsSync(path.join(dir, 'history')), false);
+    assert.deepEqual(twitter.posts, []);
+});
+
+test('markets with too short a candle history are dropped instead of scored', async (t) => {
+    const { server, dir, twitter } = await setup(t);
+    const bot = createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter });
+
+    const result = await bot.getUnifiedPicks({ universe: ['PEPE', 'SOL'], post: false });
+
+    assert.deepEqual(result.top.map(p => p.symbol), ['SOL/USD']);
+    assert.deepEqual(result.dropped, [{ symbol: 'PEPE/USD', reason: 'history', detail: '13 daily bars < 30' }]);
+    assert.deepEqual(readJsonLines(path.join(dir, 'history', 'scans.jsonl'))[0].top, ['SOL/USD']);
+
+    // A stricter hourly minimum drops every market
+    const strict = createTestBot({ dir: tempDir(t), sourcesUrl: server.url, twitterClient: twitter, settings: { universe: { minHourlyBars: 150 } } });
+    const none = await strict.getUnifiedPicks({ universe: ['SOL'], post: false, save: false });
+    assert.deepEqual(none.top, []);
+    assert.deepEqual(none.dropped, [{ symbol: 'SOL/USD', reason: 'history', detail: '100 hourly bars < 150' }]);
+});
+
+test('a scan with every source down publishes nothing', async (t) => {
+    const { server, dir, twitter } = await setup(t, ALL_SOURCES_DOWN);
+    const bot = createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter });
+
+    const result = await bot.getUnifiedPicks();
+
+    assert.deepEqual(result.top, []);
+    assert.deepEqual(result.dropped, []);
+    assert.deepEqual(Object.values(bot.status.sources).map(s => s.status), ['fallback', 'fallback', 'fallback', 'fallback', 'fallback']);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'master_picks.json'))), []);
+    assert.deepEqual(twitter.posts, []);
+});
+
+test('with CoinGecko down the configured fallback markets are scanned on degraded data', async (t) => {
+    const { server, dir, twitter } = await setup(t, ALL_SOURCES_DOWN);
+    const bot = createTestBot({
+        dir,
+        sourcesUrl: server.url,
+        twitterClient: twitter,
+        settings: { universe: { fallback: { quote: 'USD', limit: 3 } } }
+    });
+
+    const result = await bot.getUnifiedPicks({ post: false });
+
+    // No Fear & Greed, social or whale data: only the technical triggers fire
+    assert.deepEqual(result.top.map(p => [p.symbol, p.score, p.triggers]), [
+        ['SOL/USD', 18.03, ['PSAR Flip', 'Volatility Squeeze', 'ADX Strong Trend']],
+        ['ETH/USD', -0.53, ['Short Squeeze potential']],
+        ['BTC/USD', -17.5, []]
+    ]);
+    result.top.forEach(p => assert.deepEqual(p.degradedSources, ['defillama', 'coingecko', 'fear-greed', 'lunarcrush', 'whale-alert']));
+});
+
+test('empty source responses leave the universe empty without failing the scan', async (t) => {
+    const { server, dir, twitter } = await setup(t, {
+        defillama: { peggedAssets: [] },
+        coingecko: [],
+        lunarcrush: { data: [] },
+        'whale-alert': { result: 'success', count: 0 }
+    });
+    const bot = createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter });
+
+    const result = await bot.getUnifiedPicks();
+
+    assert.deepEqual(result.top, []);
+    assert.equal(bot.status.lastScanStatus, 'ok');
+    assert.deepEqual(Object.values(bot.status.sources).map(s => s.status), ['live', 'live', 'live', 'live', 'live']);
+    assert.deepEqual(twitter.posts, []);
+});
+
+test('a failing source falls back to its last cached response', async (t) => {
+    const { server, dir, twitter } = await setup(t);
+    await createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter }).getUnifiedPicks({ post: false, save: false });
+
+    // Two hours later CoinGecko is down and its one-hour cache has expired
+    t.mock.timers.setTime(SCAN_AT + 2 * 60 * 60 * 1000);
+    const down = await startSourceServer({ coingecko: 503 });
+    t.after(() => down.close());
+    const bot = createTestBot({ dir, sourcesUrl: down.url, twitterClient: twitter });
+
+    const result = await bot.getUnifiedPicks({ post: false, save: false });
+
+    assert.deepEqual(bot.status.sources.coingecko, { status: 'stale', fresh: false, fetchedAt: SCAN_ID, error: 'HTTP 503' });
+    assert.deepEqual(result.top.map(p => p.symbol), ['DOGE/USD', 'LINK/USD', 'SOL/USD', 'ETH/USD', 'BTC/USD']);
+    assert.deepEqual(result.top[0].degradedSources, ['coingecko']);
+});
+
+test('a profile with another CoinGecko page count does not reuse the cached ranking', async (t) => {
+    const { server, dir, twitter } = await setup(t);
+    await createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter }).getUnifiedPicks({ post: false, save: false });
+
+    const bot = createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter, settings: { universe: { coingeckoPages: 2 } } });
+    await bot.getUnifiedPicks({ post: false, save: false });
+
+    assert.equal(bot.status.sources.coingecko.status, 'live');
+    assert.equal(server.hits.coingecko, 3);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'cache', 'sources')).filter(f => f.startsWith('coingecko')).sort(), ['coingecko-1p.json', 'coingecko-2p.json']);
+});
+
+test('a one-off scan neither resumes nor removes the daemon checkpoint', async (t) => {
+    const { server, dir, twitter } = await setup(t);
+    const checkpointFile = path.join(dir, 'cache', 'scan-checkpoint.json');
+    const checkpoint = { startedAt: SCAN_ID, savedAt: SCAN_ID, done: { 'DOGE/USD': { symbol: 'DOGE/USD', score: 99, triggers: [], breakdown: [] } } };
+    fs.mkdirSync(path.dirname(checkpointFile), { recursive: true });
+    fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint));
+    const bot = createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter });
+
+    const result = await bot.getUnifiedPicks({ universe: ['DOGE', 'SOL'], post: false, save: false });
+
+    assert.deepEqual(result.top.map(p => [p.symbol, p.rawScore]), [['DOGE/USD', 23], ['SOL/USD', 21.25]]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(checkpointFile)), checkpoint);
+});
+
+test('the include list extends the full scan but not an explicit universe', async (t) => {
+    const { server, dir, twitter } = await setup(t);
+    const bot = createTestBot({ dir, sourcesUrl: server.url, twitterClient: twitter, settings: { universe: { include: ['PEPE'] } } });
+
+    const explicit = await bot.getUnifiedPicks({ universe: ['SOL'], post: false, save: false });
+    assert.deepEqual(explicit.ranked.map(p => p.symbol), ['SOL/USD']);
+    assert.deepEqual(explicit.dropped, []);
+
+    const full = await bot.getUnifiedPicks({ post: false, save: false });
+    assert.ok(full.dropped.some(d => d.symbol === 'PEPE/USD' && d.reason === 'history'));
+});
@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreSymbol } = require('../lib/scoring');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Daily bars from a list of closes
+const daily = (closes) => closes.map((close, i) => [i * DAY, close, close, close, close, 1]);
+
+test('scoreSymbol measures aboveTrend with the configured breadth period', () => {
+    // Rising for 40 days, then five days back at 128: below the 10-day average, above the 40-day one
+    const closes = [...Array.from({ length: 40 }, (_, i) => 100 + i), 128, 128, 128, 128, 128];
+    const input = { ohlcv: [], dailyOhlcv: daily(closes), currentPrice: closes[closes.length - 1], coinSymbol: 'SOL' };
+
+    assert.equal(scoreSymbol({ ...input, breadthPeriod: 10 }, []).aboveTrend, false);
+    assert.equal(scoreSymbol({ ...input, breadthPeriod: 40 }, []).aboveTrend, true);
+});
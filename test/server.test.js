@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('../lib/server');
+const { createTokenBucket } = require('../lib/rate-limit');
+
+const history = { latestScan: () => null, readScans: () => [], readOutcomes: () => [], readAlerts: () => [] };
+
+/**
+ * Listens on a free port for the test and returns a GET helper
+ */
+async function start(t, options) {
+    const server = createServer({ history, status: {}, metrics: { render: () => '' }, ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(done => server.close(done)));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return async (path) => {
+        const res = await fetch(base + path);
+        return { status: res.status, retryAfter: res.headers.get('retry-after'), body: await res.json() };
+    };
+}
+
+test('/scan/:symbol answers 429 once its rate limit is used up', async (t) => {
+    const scanned = [];
+    const get = await start(t, {
+        scanSymbol: async (symbol) => { scanned.push(symbol); return { symbol }; },
+        scanLimit: createTokenBucket({ ratePerSecond: 1 / 60 })
+    });
+
+    assert.deepEqual(await get('/scan/btc-usd'), { status: 200, retryAfter: null, body: { symbol: 'BTC/USD' } });
+    assert.deepEqual(await get('/scan/ETH/USD'), {
+        status: 429, retryAfter: '60', body: { error: 'Too many scan requests, try again later', symbol: 'ETH/USD' }
+    });
+    assert.deepEqual(scanned, ['BTC/USD']);
+});
+
+test('/scan/:symbol splits base and quote on the last dash', async (t) => {
+    const get = await start(t, { scanSymbol: async (symbol) => ({ symbol }) });
+
+    assert.deepEqual((await get('/scan/1000-sats-usd')).body, { symbol: '1000-SATS/USD' });
+    assert.deepEqual((await get('/scan/eth_usdt')).body, { symbol: 'ETH/USDT' });
+});
+
+test('/scan/:symbol is not served without a scanner', async (t) => {
+    const get = await start(t, { scanSymbol: null });
+
+    assert.equal((await get('/scan/BTC-USD')).status, 404);
+});
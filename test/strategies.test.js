@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRegistry } = require('../lib/strategies');
+const { scoreSymbol } = require('../lib/scoring');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const STRATEGIES = createRegistry();
+
+const strategy = (name) => STRATEGIES.find(s => s.name === name);
+const evaluate = (name, candles, context = {}) => strategy(name).evaluate(candles, { ...context, params: strategy(name).params });
+const range = (length, at) => Array.from({ length }, (_, i) => at(i));
+
+// Candles opening at the previous close, with a 0.1% wick on both sides
+const bars = (closes, step = HOUR) => closes.map((close, i) => {
+    const open = i > 0 ? closes[i - 1] : close;
+    return [i * step, open, Math.max(open, close) * 1.001, Math.min(open, close) * 0.999, close, 100];
+});
+const hourlyOf = (hourly, daily = bars(range(30, () => 100), DAY)) => ({ hourly, daily, frames: { '1h': hourly, '1d': daily } });
+
+const RISING = range(60, i => 100 + i);
+const FALLING = range(60, i => 160 - i);
+
+test('ema-cross fires while the fast EMA is above the slow one', () => {
+    assert.equal(evaluate('ema-cross', hourlyOf(bars(RISING))), true);
+    assert.equal(evaluate('ema-cross', hourlyOf(bars(FALLING))), false);
+});
+
+test('mean-reversion fires when the close drops below factor x the hourly mean', () => {
+    assert.equal(evaluate('mean-reversion', hourlyOf(bars([...range(99, () => 100), 80]))), true);
+    assert.equal(evaluate('mean-reversion', hourlyOf(bars([...range(99, () => 100), 95]))), false);
+});
+
+test('volatility-squeeze fires on narrow Bollinger Bands only', () => {
+    assert.equal(evaluate('volatility-squeeze', hourlyOf(bars(range(40, i => (i % 2 ? 100.2 : 100))))), true);
+    assert.equal(evaluate('volatility-squeeze', hourlyOf(bars(range(40, i => (i % 2 ? 110 : 100))))), false);
+    assert.equal(evaluate('volatility-squeeze', hourlyOf(bars([100, 101]))), false);
+});
+
+test('gapper compares the last hourly close with the daily open', () => {
+    const daily = bars(range(30, () => 100), DAY);
+    assert.equal(evaluate('gapper', hourlyOf(bars([100, 104]), daily)), true);
+    assert.equal(evaluate('gapper', hourlyOf(bars([100, 102]), daily)), false);
+});
+
+test('vwap-bounce needs a wick to VWAP and a close above it', () => {
+    const flat = range(20, (i) => [i * HOUR, 100, 101, 99, 100, 100]);
+    assert.equal(evaluate('vwap-bounce', hourlyOf([...flat, [20 * HOUR, 100, 101.5, 99.5, 101, 100]])), true);
+    assert.equal(evaluate('vwap-bounce', hourlyOf([...flat, [20 * HOUR, 101, 101.5, 100.5, 101, 100]])), false);
+});
+
+test('rounding-bottom fires when price recovers above the mid-window trough', () => {
+    const dip = (end) => bars(range(30, i => (i < 10 ? 100 : i < 20 ? 80 : end)), DAY);
+    assert.equal(evaluate('rounding-bottom', { hourly: [], daily: dip(90), frames: {} }), true);
+    assert.equal(evaluate('rounding-bottom', { hourly: [], daily: dip(75), frames: {} }), false);
+    assert.equal(evaluate('rounding-bottom', { hourly: [], daily: bars(range(20, () => 100), DAY), frames: {} }), false);
+});
+
+test('context strategies read the market inputs instead of candles', () => {
+    const none = hourlyOf([]);
+    assert.equal(evaluate('unit-bias', none, { currentPrice: 0.005 }), true);
+    assert.equal(evaluate('unit-bias', none, { currentPrice: 0.5 }), false);
+    assert.equal(evaluate('funding-squeeze', none, { fundingRate: -0.02 }), true);
+    assert.equal(evaluate('funding-squeeze', none, { fundingRate: undefined }), false);
+    assert.equal(evaluate('inverse-sentiment', none, { fearIndex: 12 }), true);
+    assert.equal(evaluate('inverse-sentiment', none, { fearIndex: 50 }), false);
+    assert.equal(evaluate('galaxy-score', none, { coinSymbol: 'SOL', socialData: { SOL: { galaxy_score: 75 } } }), 'Social: Galaxy Score 75');
+    assert.equal(evaluate('galaxy-score', none, { coinSymbol: 'SOL', socialData: { SOL: { galaxy_score: 60 } } }), false);
+    const flows = [{ symbol: 'sol', to: { owner_type: 'exchange' } }, { symbol: 'eth', to: { owner_type: 'unknown' } }];
+    assert.equal(evaluate('whale-inflow', none, { coinSymbol: 'SOL', whaleFlows: flows }), true);
+    assert.equal(evaluate('whale-inflow', none, { coinSymbol: 'ETH', whaleFlows: flows }), false);
+});
+
+test('an hourly signal only counts when the 4h chart confirms it', () => {
+    const hourly = bars(RISING);
+    const input = (frames) => ({ ohlcv: hourly, dailyOhlcv: bars(range(30, () => 100), DAY), frames, currentPrice: 159, coinSymbol: 'SOL' });
+    const emaCross = [strategy('ema-cross')];
+
+    assert.deepEqual(scoreSymbol(input({ '4h': bars(RISING, 4 * HOUR) }), emaCross).triggers, ['EMA Cross']);
+    assert.deepEqual(scoreSymbol(input({ '4h': bars(FALLING, 4 * HOUR) }), emaCross).triggers, []);
+    assert.deepEqual(scoreSymbol(input({}), emaCross).triggers, []);
+
+    // "confirm": false in the config counts the hourly signal on its own
+    const unconfirmed = createRegistry({ 'ema-cross': { confirm: false } }).filter(s => s.name === 'ema-cross');
+    assert.deepEqual(scoreSymbol(input({ '4h': bars(FALLING, 4 * HOUR) }), unconfirmed).triggers, ['EMA Cross']);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTradePlan, evaluateTradePlan } = require('../lib/trade-plan');
+
+const HOUR = 60 * 60 * 1000;
+const ENTRY_AT = Date.parse('2026-10-16T08:00:00Z');
+
+// Entry 100, stop 98 (1R = 2), targets 102 / 104 / 106
+const PLAN = { entry: 100, entryAt: new Date(ENTRY_AT).toISOString(), stop: 98, takeProfits: [102, 104, 106] };
+
+// Hourly bars after entry as [high, low, close]
+const after = (...rows) => rows.map(([high, low, close], i) => [ENTRY_AT + i * HOUR, close, high, low, close, 1]);
+
+test('a stop before any target loses 1R', () => {
+    assert.deepEqual(evaluateTradePlan(PLAN, after([101, 99, 100], [100, 97, 97.5])), {
+        outcome: 'stop', hitAt: new Date(ENTRY_AT + HOUR).toISOString(), targetsHit: 0, exitPrice: 98, rMultiple: -1
+    });
+});
+
+test('after TP1 a reversal exits at TP1, not at the stop', () => {
+    assert.deepEqual(evaluateTradePlan(PLAN, after([102.5, 99.5, 102], [103, 101, 101.5], [100, 97, 97.5])), {
+        outcome: 'target', hitAt: new Date(ENTRY_AT).toISOString(), targetsHit: 1, exitPrice: 102, rMultiple: 1
+    });
+});
+
+test('each further target becomes the exit level', () => {
+    const result = evaluateTradePlan(PLAN, after([102.5, 99.5, 102], [104.5, 102.5, 104], [104.2, 103.5, 103.8]));
+    assert.deepEqual([result.outcome, result.targetsHit, result.exitPrice, result.rMultiple], ['target', 2, 104, 2]);
+});
+
+test('reaching every target closes the trade at the last one', () => {
+    const result = evaluateTradePlan(PLAN, after([103, 99, 102.5], [107, 102.5, 106.5], [90, 80, 85]));
+    assert.deepEqual([result.outcome, result.targetsHit, result.exitPrice, result.rMultiple], ['target', 3, 106, 3]);
+});
+
+test('a bar spanning the stop and a target counts as the stop', () => {
+    const result = evaluateTradePlan(PLAN, after([103, 97, 100]));
+    assert.deepEqual([result.outcome, result.targetsHit, result.exitPrice], ['stop', 0, 98]);
+});
+
+test('an untouched plan stays open at the latest close', () => {
+    assert.deepEqual(evaluateTradePlan(PLAN, after([101, 99, 100.5], [101.5, 99.5, 101])), {
+        outcome: 'open', hitAt: null, targetsHit: 0, exitPrice: 101, rMultiple: 0.5
+    });
+    // Candles before the entry are ignored
+    assert.equal(evaluateTradePlan(PLAN, [[ENTRY_AT - HOUR, 100, 100, 90, 95, 1]]).outcome, 'open');
+});
+
+test('buildTradePlan sizes the position to lose riskPerTrade at the stop', () => {
+    const hourly = Array.from({ length: 30 }, (_, i) => [ENTRY_AT + i * HOUR, 100, 101, 99, 100, 1]);
+    const plan = buildTradePlan(hourly, 100, { accountSize: 10000, riskPerTrade: 0.01, maxPositionPct: 1 });
+
+    assert.equal(plan.atr, 2);
+    assert.equal(plan.stop, 97);
+    assert.deepEqual(plan.takeProfits, [103, 106, 109]);
+    assert.equal(plan.position.risk, 100);
+    assert.equal(buildTradePlan(hourly.slice(0, 5), 100), null);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { weightedLength, truncate, splitIntoTweets, composePicksThread } = require('../lib/tweet-composer');
+
+test('weightedLength counts URLs, emoji and wide scripts as X does', () => {
+    assert.equal(weightedLength('Top 5 picks'), 11);
+    assert.equal(weightedLength('Chart: https://example.com/a/very/long/path?with=query'), 7 + 23);
+    assert.equal(weightedLength('🚀'), 2);
+    assert.equal(weightedLength('👨‍👩‍👧'), 2);
+    assert.equal(weightedLength('👍🏽'), 2);
+    assert.equal(weightedLength('❤️'), 2);
+    assert.equal(weightedLength('比特币'), 6);
+    assert.equal(weightedLength('café'), 4);
+    // Decomposed accents are normalized first
+    assert.equal(weightedLength('cafe\u0301'), 4);
+    assert.equal(weightedLength(''), 0);
+});
+
+test('truncate ends with an ellipsis and never splits an emoji', () => {
+    // The ellipsis itself counts 2
+    assert.equal(truncate('short', 10), 'short');
+    assert.equal(truncate('abcdefghijkl', 10), 'abcdefgh…');
+    assert.equal(truncate('🚀🚀🚀🚀🚀🚀', 10), '🚀🚀🚀🚀…');
+});
+
+test('splitIntoTweets packs whole lines and splits long ones on spaces', () => {
+    assert.deepEqual(splitIntoTweets('one\ntwo\nthree', 9), ['one\ntwo', 'three']);
+    assert.deepEqual(splitIntoTweets('alpha beta gamma delta', 11), ['alpha beta', 'gamma delta']);
+    splitIntoTweets('word '.repeat(200)).forEach(t => assert.ok(weightedLength(t) <= 280));
+});
+
+test('composePicksThread drops triggers from the summary before adding replies', () => {
+    const picks = [
+        { symbol: 'SOL/USD', rawScore: 21, triggers: ['PSAR Flip', 'Volatility Squeeze'], priceAt5am: 243 },
+        { symbol: 'ETH/USD', rawScore: 13, triggers: ['Short Squeeze potential'], priceAt5am: 3114 }
+    ];
+
+    assert.deepEqual(composePicksThread({ title: 'Scan', picks }), [{
+        text: 'Scan\n\nTop 2 High-Score Signals:\n1. SOL Score: 21 - PSAR Flip, Volatility Squeeze\n2. ETH Score: 13 - Short Squeeze potential'
+    }]);
+
+    const thread = composePicksThread({ title: 'Scan', picks }, { max: 80 });
+    assert.equal(thread[0].text, 'Scan\n\nTop 2 High-Score Signals:\n1. SOL Score: 21\n2. ETH Score: 13');
+    assert.deepEqual(thread.slice(1).map(p => p.pick), [0, 1]);
+    thread.forEach(p => assert.ok(weightedLength(p.text) <= 80));
+});